@@ -75,6 +75,14 @@ const options = {
               type: 'boolean',
               description: 'Whether the user account is active'
             },
+            emailVerified: {
+              type: 'boolean',
+              description: 'Whether the user has verified their email address'
+            },
+            twoFactorEnabled: {
+              type: 'boolean',
+              description: 'Whether two-factor authentication is enabled'
+            },
             preferences: {
               type: 'object',
               properties: {
@@ -181,8 +189,8 @@ const options = {
               description: 'Board ID'
             },
             order: {
-              type: 'number',
-              description: 'List order'
+              type: 'string',
+              description: 'List rank; sorts lexicographically within its board'
             },
             description: {
               type: 'string',
@@ -227,8 +235,8 @@ const options = {
               description: 'Board ID'
             },
             order: {
-              type: 'number',
-              description: 'Card order'
+              type: 'string',
+              description: 'Card rank; sorts lexicographically within its list'
             },
             color: {
               type: 'string',
@@ -368,6 +376,42 @@ const options = {
             }
           }
         },
+        Session: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Session ID'
+            },
+            userAgent: {
+              type: 'string',
+              description: 'User agent of the device that logged in'
+            },
+            ip: {
+              type: 'string',
+              description: 'IP address the session was created from'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Login date'
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last request made with the session (to the nearest minute)'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the session ends unless refreshed'
+            },
+            current: {
+              type: 'boolean',
+              description: 'Whether this is the session making the request'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
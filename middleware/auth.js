@@ -1,17 +1,61 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { logger } = require('../utils/logger');
 
-const protect = async (req, res, next) => {
-  let token;
-
-  // Check for token in headers or cookies
+// Read the JWT from the Authorization header or the token cookie
+const getTokenFromRequest = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.token) {
-    token = req.cookies.token;
+    return req.headers.authorization.split(' ')[1];
+  }
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
+  }
+  return null;
+};
+
+// Verify a JWT and load its user. Throws if the token is invalid; resolves
+// to { user: null, reason } when the user is missing or deactivated, the
+// token's session has been revoked or it isn't an access token (e.g. a
+// two-factor challenge). Tokens issued before sessions existed carry no sid
+// and are accepted until they expire.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose) {
+    return { user: null, reason: 'Not authorized to access this route' };
+  }
+
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return { user: null, reason: 'Session has been revoked' };
+    }
+
+    await Session.touch(session._id);
   }
 
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return { user: null, reason: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { user: null, reason: 'Account is deactivated' };
+  }
+
+  return { user, decoded };
+};
+
+// Whether a user has to enrol in two-factor authentication before using
+// anything but the enrolment routes
+const needsTwoFactorEnrolment = user => user.isTwoFactorRequired() && !user.twoFactorEnabled;
+
+const protect = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+
   if (!token) {
     return res.status(401).json({
       success: false,
@@ -20,28 +64,27 @@ const protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { user, reason, decoded } = await authenticateToken(token);
 
-    // Get user from token
-    const user = await User.findById(decoded.id).select('-password');
-    
     if (!user) {
       return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: reason
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
+    // Users who must use two-factor authentication but haven't enrolled can
+    // only reach the routes that let them enrol
+    if (needsTwoFactorEnrolment(user) && !req.allowWithoutTwoFactor) {
+      return res.status(403).json({
         success: false,
-        message: 'Account is deactivated'
+        message: 'Two-factor authentication must be enabled for this account',
+        code: 'TWO_FACTOR_REQUIRED'
       });
     }
 
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     logger.error('Token verification failed:', error);
@@ -54,21 +97,15 @@ const protect = async (req, res, next) => {
 
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
-  let token;
-
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.token) {
-    token = req.cookies.token;
-  }
+  const token = getTokenFromRequest(req);
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (user && user.isActive) {
+      const { user, decoded } = await authenticateToken(token);
+
+      if (user) {
         req.user = user;
+        req.sessionId = decoded.sid || null;
       }
     } catch (error) {
       // Token is invalid, but we don't fail the request
@@ -79,6 +116,13 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Let users who still have to enrol in two-factor authentication through
+// protect; goes before protect on the enrolment routes
+const allowWithoutTwoFactor = (req, res, next) => {
+  req.allowWithoutTwoFactor = true;
+  next();
+};
+
 // Role-based authorization
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -100,4 +144,12 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, optionalAuth, authorize }; 
\ No newline at end of file
+module.exports = {
+  protect,
+  optionalAuth,
+  allowWithoutTwoFactor,
+  authorize,
+  getTokenFromRequest,
+  authenticateToken,
+  needsTwoFactorEnrolment
+}; 
\ No newline at end of file
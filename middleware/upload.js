@@ -0,0 +1,35 @@
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { storage } = require('../utils/storage');
+
+// Multer storage engine that streams uploads into the configured storage driver
+const driverStorage = {
+  _handleFile(req, file, cb) {
+    // Random name so user-supplied file names never reach the storage backend
+    const ext = path.extname(file.originalname).toLowerCase();
+    const filename = `${crypto.randomBytes(16).toString('hex')}${ext}`;
+
+    storage.save(filename, file.stream, { contentType: file.mimetype })
+      .then(({ size }) => cb(null, { filename, size }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    storage.remove(file.filename)
+      .then(() => cb(null))
+      .catch(cb);
+  }
+};
+
+const upload = multer({
+  storage: driverStorage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024 // 5MB
+  }
+});
+
+// Single file upload from the "file" form field
+const uploadAttachment = upload.single('file');
+
+module.exports = { uploadAttachment };
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const activitySchema = new mongoose.Schema({
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  verb: {
+    type: String,
+    required: true,
+    enum: [
+      'created',
+      'updated',
+      'deleted',
+      'moved',
+      'reordered',
+      'commented',
+      'edited_comment',
+      'deleted_comment',
+      'voted',
+      'invited',
+      'role_changed',
+      'removed'
+    ]
+  },
+  targetType: {
+    type: String,
+    required: true,
+    enum: ['board', 'list', 'card', 'comment', 'member']
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Title or name of the target at the time, so the feed still reads after deletes
+  targetTitle: {
+    type: String,
+    default: null
+  },
+  // Only the fields that changed, keyed by field name
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+activitySchema.index({ board: 1, createdAt: -1 });
+activitySchema.index({ actor: 1, createdAt: -1 });
+activitySchema.index({ target: 1, createdAt: -1 });
+
+// Instance method to get activity summary
+activitySchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    board: this.board,
+    actor: this.actor,
+    verb: this.verb,
+    targetType: this.targetType,
+    target: this.target,
+    targetTitle: this.targetTitle,
+    before: this.before,
+    after: this.after,
+    metadata: this.metadata,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -70,7 +70,7 @@ boardSchema.virtual('lists', {
   ref: 'List',
   localField: '_id',
   foreignField: 'board',
-  options: { sort: { order: 1 } }
+  options: { sort: { order: 1, _id: 1 } }
 });
 
 // Virtual for board members
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { rankAtPosition, assignRanks, rebalance } = require('../utils/rank');
+const { revisionPlugin } = require('../utils/concurrency');
 
 const cardSchema = new mongoose.Schema({
   title: {
@@ -23,9 +25,8 @@ const cardSchema = new mongoose.Schema({
     required: true
   },
   order: {
-    type: Number,
-    required: true,
-    default: 0
+    type: String,
+    required: true
   },
   color: {
     type: String,
@@ -123,7 +124,8 @@ const cardSchema = new mongoose.Schema({
   comments: [{
     text: {
       type: String,
-      required: true,
+      // Cleared when a comment with replies is deleted by its author
+      required: function() { return !this.isDeleted; },
       trim: true,
       maxlength: [1000, 'Comment cannot be more than 1000 characters']
     },
@@ -132,6 +134,22 @@ const cardSchema = new mongoose.Schema({
       ref: 'User',
       required: true
     },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    isEdited: {
+      type: Boolean,
+      default: false
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -157,6 +175,10 @@ const cardSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  subscribers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   isArchived: {
     type: Boolean,
     default: false
@@ -191,6 +213,8 @@ cardSchema.virtual('totalChecklistItems').get(function() {
   );
 });
 
+cardSchema.plugin(revisionPlugin);
+
 // Indexes
 cardSchema.index({ list: 1, order: 1 });
 cardSchema.index({ board: 1 });
@@ -202,15 +226,10 @@ cardSchema.index({ isArchived: 1 });
 cardSchema.index({ createdBy: 1 });
 cardSchema.index({ title: 'text', description: 'text' });
 
-// Auto-increment order for new cards in the same list
-cardSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    const lastCard = await this.constructor.findOne(
-      { list: this.list },
-      {},
-      { sort: { order: -1 } }
-    );
-    this.order = lastCard ? lastCard.order + 1 : 0;
+// New cards without an explicit rank go to the end of their list
+cardSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.order) {
+    this.order = await this.constructor.rankForPosition(this.list, Infinity, null, this.$session());
   }
   next();
 });
@@ -233,25 +252,51 @@ cardSchema.methods.getSummary = function() {
     totalChecklistItems: this.totalChecklistItems,
     attachmentsCount: this.attachments.length,
     commentsCount: this.comments.length,
+    subscribersCount: (this.subscribers || []).length,
     isArchived: this.isArchived,
     list: this.list,
     board: this.board,
     createdBy: this.createdBy,
     createdAt: this.createdAt,
-    updatedAt: this.updatedAt
+    updatedAt: this.updatedAt,
+    version: this.revision || 0
   };
 };
 
-// Static method to reorder cards
+// Static method to get the rank for a 0-based position in a list, rebalancing
+// the list first when its ranks can't fit another card
+cardSchema.statics.rankForPosition = async function(listId, position, excludeCardId = null, session = null) {
+  const filter = { list: listId };
+  if (excludeCardId) filter._id = { $ne: excludeCardId };
+
+  const rank = await rankAtPosition(this, filter, position, session);
+  if (rank) return rank;
+
+  await this.rebalanceList(listId, session);
+  return await rankAtPosition(this, filter, position, session);
+};
+
+// Static method to respace the ranks of every card in a list
+cardSchema.statics.rebalanceList = async function(listId, session = null) {
+  return await rebalance(this, { list: listId }, session);
+};
+
+// Static method to reorder cards. Listed cards are ranked in the requested
+// order, followed by any other cards in the list in their current order.
 cardSchema.statics.reorderCards = async function(listId, cardOrders) {
-  const updates = cardOrders.map(({ cardId, order }) => ({
-    updateOne: {
-      filter: { _id: cardId, list: listId },
-      update: { order }
-    }
-  }));
+  const requested = [...cardOrders]
+    .sort((a, b) => a.order - b.order)
+    .map(({ cardId }) => cardId.toString());
 
-  return await this.bulkWrite(updates);
+  const others = await this.find({ list: listId, _id: { $nin: requested } })
+    .select('_id')
+    .sort({ order: 1, _id: 1 })
+    .lean();
+
+  const ids = [...requested, ...others.map(card => card._id.toString())];
+  const ranks = await assignRanks(this, ids);
+
+  return ids.map((cardId, index) => ({ cardId, order: ranks[index] }));
 };
 
 // Instance method to add vote
@@ -270,14 +315,72 @@ cardSchema.methods.addVote = function(userId, value) {
   return this.save();
 };
 
-// Instance method to add comment
-cardSchema.methods.addComment = function(userId, text) {
+// Instance method to add comment (optionally as a reply to another comment)
+cardSchema.methods.addComment = function(userId, text, parentId = null, mentions = []) {
   this.comments.push({
     text,
-    author: userId
+    author: userId,
+    parent: parentId,
+    mentions
   });
 
   return this.save();
 };
 
+// Instance method to edit comment text
+cardSchema.methods.editComment = function(commentId, text) {
+  const comment = this.comments.id(commentId);
+  comment.text = text;
+  comment.isEdited = true;
+  comment.updatedAt = new Date();
+
+  return this.save();
+};
+
+// Instance method to remove a comment. With keepReplies, a comment that has
+// replies is only marked deleted (text cleared) so other users' replies stay;
+// otherwise the whole thread beneath it goes too. Resolves to the number of
+// comments removed.
+cardSchema.methods.removeComment = function(commentId, { keepReplies = false } = {}) {
+  const id = commentId.toString();
+  const hasReplies = this.comments.some(comment => comment.parent && comment.parent.toString() === id);
+
+  if (keepReplies && hasReplies) {
+    const comment = this.comments.id(commentId);
+    comment.isDeleted = true;
+    comment.text = '';
+    comment.mentions = [];
+    comment.updatedAt = new Date();
+    return this.save().then(() => 0);
+  }
+
+  const removed = new Set([id]);
+
+  // Replies may be nested, so keep sweeping until no new descendants are found
+  let found = true;
+  while (found) {
+    found = false;
+    for (const comment of this.comments) {
+      if (comment.parent && removed.has(comment.parent.toString()) && !removed.has(comment._id.toString())) {
+        removed.add(comment._id.toString());
+        found = true;
+      }
+    }
+  }
+
+  this.comments = this.comments.filter(comment => !removed.has(comment._id.toString()));
+
+  // Deleted comments only stay for their replies, so drop any left without one
+  let pruned = true;
+  while (pruned) {
+    const parents = new Set(this.comments.filter(comment => comment.parent).map(comment => comment.parent.toString()));
+    const orphaned = this.comments.filter(comment => comment.isDeleted && !parents.has(comment._id.toString()));
+    pruned = orphaned.length > 0;
+    orphaned.forEach(comment => removed.add(comment._id.toString()));
+    this.comments = this.comments.filter(comment => !removed.has(comment._id.toString()));
+  }
+
+  return this.save().then(() => removed.size);
+};
+
 module.exports = mongoose.model('Card', cardSchema); 
\ No newline at end of file
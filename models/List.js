@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { rankAtPosition, assignRanks, rebalance } = require('../utils/rank');
+const { revisionPlugin } = require('../utils/concurrency');
 
 const listSchema = new mongoose.Schema({
   title: {
@@ -13,9 +15,8 @@ const listSchema = new mongoose.Schema({
     required: true
   },
   order: {
-    type: Number,
-    required: true,
-    default: 0
+    type: String,
+    required: true
   },
   description: {
     type: String,
@@ -69,7 +70,7 @@ listSchema.virtual('cards', {
   ref: 'Card',
   localField: '_id',
   foreignField: 'list',
-  options: { sort: { order: 1 } }
+  options: { sort: { order: 1, _id: 1 } }
 });
 
 // Virtual for cards count
@@ -80,20 +81,17 @@ listSchema.virtual('cardsCount', {
   count: true
 });
 
+listSchema.plugin(revisionPlugin);
+
 // Indexes
 listSchema.index({ board: 1, order: 1 });
 listSchema.index({ board: 1, isArchived: 1 });
 listSchema.index({ createdBy: 1 });
 
-// Auto-increment order for new lists in the same board
-listSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    const lastList = await this.constructor.findOne(
-      { board: this.board },
-      {},
-      { sort: { order: -1 } }
-    );
-    this.order = lastList ? lastList.order + 1 : 0;
+// New lists without an explicit rank go to the end of their board
+listSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.order) {
+    this.order = await this.constructor.rankForPosition(this.board, Infinity, null, this.$session());
   }
   next();
 });
@@ -111,20 +109,45 @@ listSchema.methods.getSummary = function() {
     board: this.board,
     createdBy: this.createdBy,
     createdAt: this.createdAt,
-    updatedAt: this.updatedAt
+    updatedAt: this.updatedAt,
+    version: this.revision || 0
   };
 };
 
-// Static method to reorder lists
+// Static method to get the rank for a 0-based position in a board, rebalancing
+// the board's lists first when their ranks can't fit another list
+listSchema.statics.rankForPosition = async function(boardId, position, excludeListId = null, session = null) {
+  const filter = { board: boardId };
+  if (excludeListId) filter._id = { $ne: excludeListId };
+
+  const rank = await rankAtPosition(this, filter, position, session);
+  if (rank) return rank;
+
+  await this.rebalanceBoard(boardId, session);
+  return await rankAtPosition(this, filter, position, session);
+};
+
+// Static method to respace the ranks of every list on a board
+listSchema.statics.rebalanceBoard = async function(boardId, session = null) {
+  return await rebalance(this, { board: boardId }, session);
+};
+
+// Static method to reorder lists. Listed lists are ranked in the requested
+// order, followed by any other lists on the board in their current order.
 listSchema.statics.reorderLists = async function(boardId, listOrders) {
-  const updates = listOrders.map(({ listId, order }) => ({
-    updateOne: {
-      filter: { _id: listId, board: boardId },
-      update: { order }
-    }
-  }));
+  const requested = [...listOrders]
+    .sort((a, b) => a.order - b.order)
+    .map(({ listId }) => listId.toString());
+
+  const others = await this.find({ board: boardId, _id: { $nin: requested } })
+    .select('_id')
+    .sort({ order: 1, _id: 1 })
+    .lean();
+
+  const ids = [...requested, ...others.map(list => list._id.toString())];
+  const ranks = await assignRanks(this, ids);
 
-  return await this.bulkWrite(updates);
+  return ids.map((listId, index) => ({ listId, order: ranks[index] }));
 };
 
 module.exports = mongoose.model('List', listSchema); 
\ No newline at end of file
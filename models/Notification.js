@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['card_assigned', 'board_invitation', 'card_comment', 'comment_reply', 'mention', 'due_soon']
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [300, 'Message cannot be more than 300 characters']
+  },
+  board: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Board',
+    default: null
+  },
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+
+// Instance method to mark notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Instance method to get notification summary
+notificationSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    message: this.message,
+    actor: this.actor,
+    board: this.board,
+    card: this.card,
+    data: this.data,
+    isRead: this.isRead,
+    readAt: this.readAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
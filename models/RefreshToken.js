@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Refresh tokens are stored hashed, one document per token. Every rotation
+// issues a new token in the same family and revokes the old one, so a revoked
+// token coming back means it was stolen and the whole family is revoked. The
+// family is the id of the login's Session.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Shared by all tokens rotated from the same login (the Session id)
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 'rotated', 'logout', 'reuse_detected', ...
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Static method to get the expiry date of a refresh token issued now
+refreshTokenSchema.statics.getExpiresAt = function() {
+  return new Date(Date.now() + (parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000);
+};
+
+// Static method to issue a new refresh token in family. Resolves to
+// { token, refreshToken } where token is the raw value for the client; only
+// its hash is stored.
+refreshTokenSchema.statics.issue = async function(userId, { family, ip, userAgent }) {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  const refreshToken = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: this.getExpiresAt(),
+    createdByIp: ip || null,
+    userAgent: userAgent || null
+  });
+
+  return { token, refreshToken };
+};
+
+// Static method to find a refresh token by its raw value
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static method to revoke every live token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every live token of a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Instance method to check the token can still be used
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One row per reminder sent, so the scheduler never sends the same one twice
+const reminderSchema = new mongoose.Schema({
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Card',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // "due_in_<hours>h" or "overdue"
+  kind: {
+    type: String,
+    required: true
+  },
+  // Part of the key so changing a card's due date re-arms its reminders
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+reminderSchema.index({ card: 1, user: 1, kind: 1, dueDate: 1 }, { unique: true });
+reminderSchema.index({ sentAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // 90 days
+
+module.exports = mongoose.model('Reminder', reminderSchema);
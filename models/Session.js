@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+
+// One session per login. Access tokens carry its id as the `sid` claim and its
+// refresh tokens use it as their family, so revoking the session ends both.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward on every refresh; expired sessions are removed by the TTL index
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 'logout', 'revoked', 'logout_all', 'password_changed', 'reuse_detected', ...
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// How often lastUsedAt is written, so busy clients don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Static method to revoke sessions matching filter along with their refresh tokens
+sessionSchema.statics.revokeWhere = async function(filter, reason) {
+  const sessions = await this.find({ ...filter, revokedAt: null }).select('_id').lean();
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  await this.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(id => id.toString()) }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return ids.length;
+};
+
+// Static method to revoke a single session
+sessionSchema.statics.revokeSession = function(sessionId, reason) {
+  return this.revokeWhere({ _id: sessionId }, reason);
+};
+
+// Static method to revoke every session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, { except } = {}) {
+  return this.revokeWhere({ user: userId, ...(except && { _id: { $ne: except } }) }, reason);
+};
+
+// Static method to record activity on a session, at most once per LAST_USED_RESOLUTION_MS
+sessionSchema.statics.touch = function(sessionId) {
+  const now = new Date();
+  return this.updateOne(
+    { _id: sessionId, lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } },
+    { lastUsedAt: now }
+  );
+};
+
+// Static method to get which of the given session ids are still active, as a
+// Set of id strings, so long-lived connections can be rechecked in one query
+sessionSchema.statics.findActiveIds = async function(ids) {
+  const sessions = await this.find({
+    _id: { $in: ids },
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('_id').lean();
+
+  return new Set(sessions.map(session => session._id.toString()));
+};
+
+// Instance method to check the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to get the session as shown to its user
+sessionSchema.methods.getSummary = function(currentSessionId) {
+  return {
+    id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
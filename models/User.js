@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -42,6 +44,48 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // SHA-256 of the emailed password reset token; cleared once used
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 of the emailed verification token; cleared once used
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  // Two-factor authentication (TOTP). A new secret waits in
+  // twoFactorPendingSecret until a first code confirms the enrolment.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 of each unused recovery code
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last TOTP step accepted, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -60,6 +104,15 @@ const userSchema = new mongoose.Schema({
       push: {
         type: Boolean,
         default: true
+      },
+      // Hours before a card's due date at which to send a reminder
+      dueReminderHours: {
+        type: [{
+          type: Number,
+          min: [1, 'Reminder lead time must be at least 1 hour'],
+          max: [168, 'Reminder lead time cannot be more than 168 hours']
+        }],
+        default: [24]
       }
     }
   }
@@ -86,33 +139,139 @@ userSchema.virtual('boardMemberships', {
 // Indexes - removed duplicate email index since unique: true already creates it
 userSchema.index({ isActive: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Recovery codes are compared case-insensitively and without the dash
+const hashRecoveryCode = code => hashToken(String(code || '').toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+const RECOVERY_CODE_COUNT = 10;
 
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
+// Sign JWT and return, tied to a session when sessionId is given
+userSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, ...(sessionId && { sid: sessionId.toString() }) },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m'
     }
   );
 };
 
+// Sign a short-lived token for the second login step. It only identifies
+// the user to POST /api/auth/login/2fa and is refused as an access token.
+userSchema.methods.getTwoFactorChallengeToken = function() {
+  return jwt.sign(
+    { id: this._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+    }
+  );
+};
+
+// Whether this user must use two-factor authentication
+userSchema.methods.isTwoFactorRequired = function() {
+  return this.role === 'admin' && process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true';
+};
+
+// Replace the user's recovery codes with a new set, storing their hashes
+// (call save() afterwards). Returns the codes to show to the user once.
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+
+  return codes;
+};
+
+// Check a TOTP or recovery code for a user loaded with +twoFactorSecret.
+// Accepted codes are used up in the same update: a TOTP step is never
+// accepted twice and a recovery code is removed. Resolves to 'totp',
+// 'recovery' or null.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  const step = this.twoFactorSecret ? totp.verifyCode(this.twoFactorSecret, code) : null;
+
+  if (step !== null) {
+    const result = await this.constructor.updateOne(
+      { _id: this._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { twoFactorLastStep: step }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return result.modifiedCount === 1 ? 'recovery' : null;
+};
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a password reset token, storing its hash and expiry on the user
+// (call save() afterwards). Returns the raw token to email.
+userSchema.methods.getResetPasswordToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + (parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60) * 60 * 1000);
+
+  return token;
+};
+
+// Static method to claim a password reset token. The token is cleared in the
+// same update so it can only be used once; resolves to the user (with
+// password selected) or null if the token is unknown or expired.
+userSchema.statics.claimResetPasswordToken = function(token) {
+  return this.findOneAndUpdate(
+    { resetPasswordToken: hashToken(token), resetPasswordExpire: { $gt: new Date() } },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } },
+    { new: true }
+  ).select('+password');
+};
+
+// Generate an email verification token, storing its hash and expiry on the
+// user (call save() afterwards). Returns the raw token to email.
+userSchema.methods.getEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpire = new Date(Date.now() + (parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24) * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Static method to claim an email verification token, marking the email
+// verified and clearing the token in one update. Resolves to the user or null
+// if the token is unknown or expired.
+userSchema.statics.claimEmailVerificationToken = function(token) {
+  return this.findOneAndUpdate(
+    { emailVerificationToken: hashToken(token), emailVerificationExpire: { $gt: new Date() } },
+    { emailVerified: true, $unset: { emailVerificationToken: 1, emailVerificationExpire: 1 } },
+    { new: true }
+  );
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
@@ -127,6 +286,8 @@ userSchema.methods.getProfile = function() {
     email: this.email,
     avatar: this.avatar,
     role: this.role,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: this.twoFactorEnabled,
     preferences: this.preferences,
     createdAt: this.createdAt
   };
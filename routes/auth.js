@@ -1,20 +1,178 @@
 const express = require('express');
-const { body } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param } = require('express-validator');
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const QRCode = require('qrcode');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { protect, optionalAuth, allowWithoutTwoFactor } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { logger } = require('../utils/logger');
+const { sendEmail } = require('../utils/email');
+const { passwordReset, emailVerification } = require('../utils/email/templates');
+const { getEmailVerificationPolicy, isLoginBlocked } = require('../utils/emailVerification');
+const totp = require('../utils/totp');
 
 const router = express.Router();
 
+// The refresh token cookie is only sent to the auth routes that use it
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Limit guesses at two-factor codes on top of the global API limit
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 10,
+  message: {
+    success: false,
+    message: 'Too many two-factor attempts, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Limit requests that send an email, on top of the global API limit: once per
+// IP and once per address (keyed after validation, on the normalized email),
+// so neither one client nor many can flood an inbox
+const EMAIL_REQUEST_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+const emailRequestLimiter = ({ max, message, keyGenerator }) => rateLimit({
+  windowMs: EMAIL_REQUEST_WINDOW_MS,
+  max,
+  ...(keyGenerator && { keyGenerator }),
+  message: {
+    success: false,
+    message
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const EMAIL_REQUESTS_PER_IP = parseInt(process.env.EMAIL_REQUEST_MAX_PER_IP) || 20;
+const EMAIL_REQUESTS_PER_ADDRESS = parseInt(process.env.EMAIL_REQUEST_MAX_PER_ADDRESS) || 5;
+const PASSWORD_RESET_LIMIT_MESSAGE = 'Too many password reset requests, please try again later';
+
+const forgotPasswordIpLimiter = emailRequestLimiter({
+  max: EMAIL_REQUESTS_PER_IP,
+  message: PASSWORD_RESET_LIMIT_MESSAGE
+});
+
+const forgotPasswordEmailLimiter = emailRequestLimiter({
+  max: EMAIL_REQUESTS_PER_ADDRESS,
+  message: PASSWORD_RESET_LIMIT_MESSAGE,
+  keyGenerator: req => `email:${req.body.email}`
+});
+
+const VERIFICATION_RESEND_LIMIT_MESSAGE = 'Too many verification email requests, please try again later';
+
+const verificationResendIpLimiter = emailRequestLimiter({
+  max: EMAIL_REQUESTS_PER_IP,
+  message: VERIFICATION_RESEND_LIMIT_MESSAGE
+});
+
+// Signed-in users resend to their own address, so count them under it too
+const verificationResendEmailLimiter = emailRequestLimiter({
+  max: EMAIL_REQUESTS_PER_ADDRESS,
+  message: VERIFICATION_RESEND_LIMIT_MESSAGE,
+  keyGenerator: (req) => {
+    const email = req.user ? req.user.email : req.body.email;
+    return email ? `email:${email}` : req.ip;
+  }
+});
+
+// Issue a short-lived access token and a refresh token for session, starting
+// a new session when none is given, and set both cookies. Resolves to
+// { token, refreshToken, stored, session }.
+const issueAuthTokens = async (req, res, user, session = null) => {
+  const ip = req.ip;
+  const userAgent = req.get('User-Agent');
+
+  if (!session) {
+    session = await Session.create({
+      user: user._id,
+      ip,
+      userAgent,
+      expiresAt: RefreshToken.getExpiresAt()
+    });
+  }
+
+  const token = user.getSignedJwtToken(session._id);
+  const { token: refreshToken, refreshToken: stored } = await RefreshToken.issue(user._id, {
+    family: session._id.toString(),
+    ip,
+    userAgent
+  });
+
+  // The cookie lives exactly as long as the access token inside it
+  res.cookie('token', token, {
+    expires: new Date(jwt.decode(token).exp * 1000),
+    httpOnly: process.env.SESSION_COOKIE_HTTPONLY === 'true',
+    secure: process.env.SESSION_COOKIE_SECURE === 'true',
+    sameSite: 'strict'
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    expires: stored.expiresAt,
+    httpOnly: true,
+    secure: process.env.SESSION_COOKIE_SECURE === 'true',
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH
+  });
+
+  return { token, refreshToken, stored, session };
+};
+
+// Refuse a login or refresh while EMAIL_VERIFICATION_POLICY=require and the
+// email is unverified. Sessions are kept, so they work again once it is.
+const sendEmailNotVerified = res => res.status(403).json({
+  success: false,
+  message: 'Please verify your email address before logging in',
+  code: 'EMAIL_NOT_VERIFIED'
+});
+
+// Revoke the session a refresh token belongs to, with all of its refresh tokens
+const revokeTokenSession = async (stored, reason) => {
+  await RefreshToken.revokeFamily(stored.family, reason);
+  if (mongoose.isValidObjectId(stored.family)) {
+    await Session.revokeSession(stored.family, reason);
+  }
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+};
+
+// Generate a new email verification token for user and email the link. The
+// send isn't awaited so a slow mail server doesn't hold up the response.
+const sendVerificationEmail = async (user) => {
+  const token = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  sendEmail({
+    to: { name: user.name, address: user.email },
+    ...emailVerification({
+      recipient: user,
+      token,
+      expiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24
+    })
+  }).catch(error => logger.error('Failed to send verification email:', { userId: user._id, message: error.message }));
+};
+
+const getRefreshTokenFromRequest = req =>
+  (req.body && req.body.refreshToken) || (req.cookies && req.cookies.refreshToken) || null;
+
 /**
  * @swagger
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
  *     tags: [Authentication]
- *     description: Create a new user account with email and password
+ *     description: Create a new user account with email and password and email a verification link. When EMAIL_VERIFICATION_POLICY is "require" no tokens are returned until the email is verified.
  *     requestBody:
  *       required: true
  *       content:
@@ -63,7 +221,10 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
- *                       description: JWT token for authentication
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Refresh token for POST /api/auth/refresh (also set as an HTTP-only cookie)
  *       400:
  *         description: Validation error or user already exists
  *         content:
@@ -111,18 +272,22 @@ router.post('/register', [
       password
     });
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    await sendVerificationEmail(user);
 
-    // Set cookie
-    const cookieOptions = {
-      expires: new Date(Date.now() + (parseInt(process.env.JWT_COOKIE_EXPIRES_IN) || 7) * 24 * 60 * 60 * 1000),
-      httpOnly: process.env.SESSION_COOKIE_HTTPONLY === 'true',
-      secure: process.env.SESSION_COOKIE_SECURE === 'true',
-      sameSite: 'strict'
-    };
+    if (getEmailVerificationPolicy() === 'require') {
+      logger.info('User registered successfully', { userId: user._id, email });
+
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Check your email to verify your account before logging in.',
+        data: {
+          user: user.getProfile()
+        }
+      });
+    }
 
-    res.cookie('token', token, cookieOptions);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(req, res, user);
 
     // Update last login
     await user.updateLastLogin();
@@ -134,7 +299,8 @@ router.post('/register', [
       message: 'User registered successfully',
       data: {
         user: user.getProfile(),
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -152,7 +318,7 @@ router.post('/register', [
  *   post:
  *     summary: Login user
  *     tags: [Authentication]
- *     description: Authenticate user with email and password
+ *     description: Authenticate user with email and password. For users with two-factor authentication enabled the response carries twoFactorRequired and a challengeToken instead of tokens; finish with POST /api/auth/login/2fa.
  *     requestBody:
  *       required: true
  *       content:
@@ -193,13 +359,31 @@ router.post('/register', [
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
- *                       description: JWT token for authentication
+ *                       description: Short-lived JWT access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Refresh token for POST /api/auth/refresh (also set as an HTTP-only cookie)
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Present when a code is needed; no tokens are returned
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Token for POST /api/auth/login/2fa
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
+ *                       description: Present when the account must enrol in two-factor authentication before using the API
  *       401:
  *         description: Invalid credentials or account deactivated
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email not verified (EMAIL_VERIFICATION_POLICY is "require")
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -245,18 +429,27 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    if (isLoginBlocked(user)) {
+      return sendEmailNotVerified(res);
+    }
+
+    // The client finishes logging in by sending a code with the challenge
+    // token to POST /api/auth/login/2fa
+    if (user.twoFactorEnabled) {
+      logger.info('Two-factor challenge issued', { userId: user._id });
 
-    // Set cookie
-    const cookieOptions = {
-      expires: new Date(Date.now() + (parseInt(process.env.JWT_COOKIE_EXPIRES_IN) || 7) * 24 * 60 * 60 * 1000),
-      httpOnly: process.env.SESSION_COOKIE_HTTPONLY === 'true',
-      secure: process.env.SESSION_COOKIE_SECURE === 'true',
-      sameSite: 'strict'
-    };
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: user.getTwoFactorChallengeToken()
+        }
+      });
+    }
 
-    res.cookie('token', token, cookieOptions);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(req, res, user);
 
     // Update last login
     await user.updateLastLogin();
@@ -268,7 +461,10 @@ router.post('/login', [
       message: 'Login successful',
       data: {
         user: user.getProfile(),
-        token
+        token,
+        refreshToken,
+        // Only the enrolment routes work until two-factor authentication is set up
+        ...(user.isTwoFactorRequired() && { twoFactorSetupRequired: true })
       }
     });
   } catch (error) {
@@ -282,17 +478,30 @@ router.post('/login', [
 
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/login/2fa:
  *   post:
- *     summary: Logout user
+ *     summary: Complete two-factor login
  *     tags: [Authentication]
- *     description: Logout user and clear authentication token
- *     security:
- *       - bearerAuth: []
- *       - cookieAuth: []
+ *     description: Exchange the challenge token from POST /api/auth/login and a code from the authenticator app (or an unused recovery code) for access and refresh tokens
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code or a recovery code
+ *                 example: "123456"
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Login successful
  *         content:
  *           application/json:
  *             schema:
@@ -303,13 +512,33 @@ router.post('/login', [
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Logged out successfully"
+ *                   example: "Login successful"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *                       description: Present when a recovery code was used
  *       401:
- *         description: Not authenticated
+ *         description: Invalid or expired challenge token, or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email not verified (EMAIL_VERIFICATION_POLICY is "require")
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many attempts
  *       500:
  *         description: Server error
  *         content:
@@ -317,42 +546,89 @@ router.post('/login', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/logout', protect, async (req, res) => {
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], validate, async (req, res) => {
   try {
-    // Clear cookie
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    let decoded = null;
+    try {
+      decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      // Expired or tampered with; handled below
+    }
+
+    const user = decoded?.purpose === '2fa'
+      ? await User.findById(decoded.id).select('+twoFactorSecret +twoFactorRecoveryCodes')
+      : null;
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const method = await user.verifyTwoFactorCode(req.body.code);
+    if (!method) {
+      logger.warn('Two-factor code rejected', { userId: user._id, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    // The policy may have changed since the challenge was issued
+    if (isLoginBlocked(user)) {
+      return sendEmailNotVerified(res);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(req, res, user);
+
+    // Update last login
+    await user.updateLastLogin();
 
-    logger.info('User logged out', { userId: req.user._id });
+    logger.info('User logged in successfully', { userId: user._id, email: user.email, twoFactor: method });
 
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Login successful',
+      data: {
+        user: user.getProfile(),
+        token,
+        refreshToken,
+        ...(method === 'recovery' && { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length - 1 })
+      }
     });
   } catch (error) {
-    logger.error('Logout failed:', error);
+    logger.error('Two-factor login failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Logout failed'
+      message: 'Login failed'
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
  *     tags: [Authentication]
- *     description: Get the current authenticated user's profile
+ *     description: Generate a new TOTP secret for the current user. Scan the QR code (or enter the secret) in an authenticator app, then confirm with POST /api/auth/2fa/enable. Calling this again replaces the pending secret.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
  *     responses:
  *       200:
- *         description: User profile retrieved successfully
+ *         description: Secret generated
  *         content:
  *           application/json:
  *             schema:
@@ -364,8 +640,21 @@ router.post('/logout', protect, async (req, res) => {
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: "otpauth://totp/BoardHub:john%40example.com?secret=...&issuer=BoardHub"
+ *                     qrCode:
+ *                       type: string
+ *                       description: PNG data URL of the otpauth URL
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Not authenticated
  *         content:
@@ -379,70 +668,66 @@ router.post('/logout', protect, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/me', protect, async (req, res) => {
+router.post('/2fa/setup', allowWithoutTwoFactor, protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).populate('boards');
-    
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
+
+    const otpauthUrl = totp.buildOtpauthUri({
+      secret,
+      accountName: req.user.email,
+      issuer: process.env.TWO_FACTOR_ISSUER || 'BoardHub'
+    });
+
     res.json({
       success: true,
       data: {
-        user: user.getProfile()
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
       }
     });
   } catch (error) {
-    logger.error('Get current user failed:', error);
+    logger.error('Two-factor setup failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to get user information'
+      message: 'Failed to start two-factor setup'
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/profile:
- *   put:
- *     summary: Update user profile
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrolment
  *     tags: [Authentication]
- *     description: Update the current user's profile information
+ *     description: Turn on two-factor authentication with a code for the secret from POST /api/auth/2fa/setup. Returns recovery codes, which are shown only this once. Other sessions are revoked.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
  *     requestBody:
- *       required: false
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - code
  *             properties:
- *               name:
+ *               code:
  *                 type: string
- *                 minLength: 2
- *                 maxLength: 50
- *                 description: User's full name
- *                 example: "John Doe"
- *               preferences:
- *                 type: object
- *                 properties:
- *                   theme:
- *                     type: string
- *                     enum: [light, dark, system]
- *                     description: User's theme preference
- *                     example: "dark"
- *                   notifications:
- *                     type: object
- *                     properties:
- *                       email:
- *                         type: boolean
- *                         description: Email notifications enabled
- *                         example: true
- *                       push:
- *                         type: boolean
- *                         description: Push notifications enabled
- *                         example: false
+ *                 example: "123456"
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Two-factor authentication enabled
  *         content:
  *           application/json:
  *             schema:
@@ -453,14 +738,17 @@ router.get('/me', protect, async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Profile updated successfully"
+ *                   example: "Two-factor authentication enabled"
  *                 data:
  *                   type: object
  *                   properties:
- *                     user:
- *                       $ref: '#/components/schemas/User'
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         example: "3f9a1-c27e0"
  *       400:
- *         description: Validation error
+ *         description: Already enabled, setup not started or invalid code
  *         content:
  *           application/json:
  *             schema:
@@ -478,63 +766,72 @@ router.get('/me', protect, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/profile', protect, [
-  body('name')
-    .optional()
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Name must be between 2 and 50 characters'),
-  body('preferences.theme')
-    .optional()
-    .isIn(['light', 'dark', 'system'])
-    .withMessage('Theme must be light, dark, or system'),
-  body('preferences.notifications.email')
-    .optional()
-    .isBoolean()
-    .withMessage('Email notifications must be a boolean'),
-  body('preferences.notifications.push')
-    .optional()
-    .isBoolean()
-    .withMessage('Push notifications must be a boolean')
+router.post('/2fa/enable', twoFactorLimiter, allowWithoutTwoFactor, protect, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
 ], validate, async (req, res) => {
   try {
-    const { name, preferences } = req.body;
-    const updateFields = {};
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
 
-    if (name) updateFields.name = name;
-    if (preferences) updateFields.preferences = preferences;
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
 
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updateFields,
-      { new: true, runValidators: true }
-    );
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
 
-    logger.info('User profile updated', { userId: user._id });
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    // Sessions opened with just the password end here
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'two_factor_enabled', { except: req.sessionId });
+
+    logger.info('Two-factor authentication enabled', { userId: user._id, revokedSessions });
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: 'Two-factor authentication enabled',
       data: {
-        user: user.getProfile()
+        recoveryCodes
       }
     });
   } catch (error) {
-    logger.error('Profile update failed:', error);
+    logger.error('Enable two-factor failed:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update profile'
+      message: 'Failed to enable two-factor authentication'
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/password:
- *   put:
- *     summary: Change password
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
  *     tags: [Authentication]
- *     description: Change the current user's password
+ *     description: Turn off two-factor authentication. Needs the password and a current code or recovery code. Not allowed for accounts that require it.
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -545,34 +842,23 @@ router.put('/profile', protect, [
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
- *               - newPassword
+ *               - password
+ *               - code
  *             properties:
- *               currentPassword:
+ *               password:
  *                 type: string
- *                 description: Current password
- *                 example: "OldPass123"
- *               newPassword:
+ *               code:
  *                 type: string
- *                 minLength: 6
- *                 description: New password (must contain at least one lowercase, uppercase, and number)
- *                 example: "NewSecurePass456"
+ *                 description: 6-digit code or a recovery code
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Two-factor authentication disabled
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Password changed successfully"
+ *               $ref: '#/components/schemas/Success'
  *       400:
- *         description: Current password incorrect or validation error
+ *         description: Not enabled, incorrect password or invalid code
  *         content:
  *           application/json:
  *             schema:
@@ -583,6 +869,12 @@ router.put('/profile', protect, [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Two-factor authentication is required for this account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -590,11 +882,1236 @@ router.put('/profile', protect, [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/password', protect, [
-  body('currentPassword')
+router.post('/2fa/disable', twoFactorLimiter, protect, [
+  body('password')
     .notEmpty()
-    .withMessage('Current password is required'),
-  body('newPassword')
+    .withMessage('Password is required'),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.isTwoFactorRequired()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const isMatch = await user.matchPassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!await user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastStep: 1
+      }
+    });
+
+    logger.info('Two-factor authentication disabled', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Disable two-factor failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     tags: [Authentication]
+ *     description: Replace all recovery codes with a new set, shown only this once. Needs a current code from the authenticator app.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Not enabled or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/2fa/recovery-codes', twoFactorLimiter, protect, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], validate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (await user.verifyTwoFactorCode(req.body.code) !== 'totp') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info('Two-factor recovery codes regenerated', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('Regenerate recovery codes failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     tags: [Authentication]
+ *     description: Revoke the current session (its access and refresh tokens) and clear the auth cookies
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out successfully"
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await Session.revokeSession(req.sessionId, 'logout');
+    }
+
+    // Works with just the refresh token, so clients can log out after the
+    // access token has expired
+    const presented = getRefreshTokenFromRequest(req);
+    if (presented) {
+      const stored = await RefreshToken.findByToken(presented);
+      if (stored) {
+        await revokeTokenSession(stored, 'logout');
+      }
+    }
+
+    clearAuthCookies(res);
+
+    logger.info('User logged out', { userId: req.user?._id });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     tags: [Authentication]
+ *     description: Exchange a refresh token (body or cookie) for a new access token and a new refresh token. Each refresh token works once; presenting one that was already rotated revokes every token from the same login.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token, if not sent as the refreshToken cookie
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Token refreshed successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *       401:
+ *         description: Missing, invalid, expired or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email not verified (EMAIL_VERIFICATION_POLICY is "require")
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', [
+  body('refreshToken')
+    .optional()
+    .isString()
+    .withMessage('Refresh token must be a string')
+], validate, async (req, res) => {
+  try {
+    const presented = getRefreshTokenFromRequest(req);
+    if (!presented) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const stored = await RefreshToken.findByToken(presented);
+    if (!stored) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // A rotated token coming back means someone else holds a copy of it:
+    // revoke the whole family so neither copy can be used again
+    if (stored.revokedAt) {
+      if (stored.revokedReason === 'rotated') {
+        await revokeTokenSession(stored, 'reuse_detected');
+        logger.warn('Refresh token reuse detected', { userId: stored.user, family: stored.family, ip: req.ip });
+      }
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    if (!stored.isActive()) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has expired'
+      });
+    }
+
+    const session = mongoose.isValidObjectId(stored.family) ? await Session.findById(stored.family) : null;
+    if (!session || !session.isActive()) {
+      await RefreshToken.revokeFamily(stored.family, 'session_revoked');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.isActive) {
+      await revokeTokenSession(stored, 'user_inactive');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: !user ? 'User not found' : 'Account is deactivated'
+      });
+    }
+
+    // Also covers sessions opened before EMAIL_VERIFICATION_POLICY became require
+    if (isLoginBlocked(user)) {
+      return sendEmailNotVerified(res);
+    }
+
+    // Claim the token atomically so two concurrent refreshes can't both rotate it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'rotated' }
+    );
+    if (!claimed) {
+      await revokeTokenSession(stored, 'reuse_detected');
+      logger.warn('Refresh token reuse detected', { userId: stored.user, family: stored.family, ip: req.ip });
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    const { token, refreshToken, stored: next } = await issueAuthTokens(req, res, user, session);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: next._id });
+
+    // The session lives as long as its newest refresh token
+    await Session.updateOne({ _id: session._id }, { expiresAt: next.expiresAt, lastUsedAt: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    logger.error('Token refresh failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     tags: [Authentication]
+ *     description: Mark the account's email as verified with the token from a verification email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the verification email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Email verified successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], validate, async (req, res) => {
+  try {
+    const user = await User.claimEmailVerificationToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    logger.info('Email verified', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.getProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Email verification failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+});
+
+// Same response whether or not the email is registered or already verified
+const RESEND_VERIFICATION_MESSAGE = 'If that account exists and is unverified, a verification link has been sent';
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend verification email
+ *     tags: [Authentication]
+ *     description: Send a new verification link (earlier links stop working). Authenticated users get one for their own account; otherwise pass the email, and the response doesn't reveal whether it is registered.
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Required when not authenticated
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Email already verified, or no email given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many verification email requests
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/verify-email/resend', verificationResendIpLimiter, optionalAuth, [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], validate, verificationResendEmailLimiter, async (req, res) => {
+  try {
+    if (req.user) {
+      if (req.user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email is already verified'
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      await sendVerificationEmail(user);
+
+      logger.info('Verification email resent', { userId: user._id });
+
+      return res.json({
+        success: true,
+        message: 'Verification email sent'
+      });
+    }
+
+    if (!req.body.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true, emailVerified: false });
+    if (user) {
+      await sendVerificationEmail(user);
+      logger.info('Verification email resent', { userId: user._id, ip: req.ip });
+    }
+
+    res.json({
+      success: true,
+      message: RESEND_VERIFICATION_MESSAGE
+    });
+  } catch (error) {
+    logger.error('Resend verification email failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email'
+    });
+  }
+});
+
+// Same response whether or not the email is registered, so the route can't be
+// used to find out who has an account
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a password reset link has been sent';
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     tags: [Authentication]
+ *     description: Email a single-use password reset link to the account with this address. The response is the same whether or not the email is registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "john@example.com"
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many password reset requests
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/forgot-password', forgotPasswordIpLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], validate, forgotPasswordEmailLimiter, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user) {
+      const token = user.getResetPasswordToken();
+      await user.save({ validateBeforeSave: false });
+
+      // Not awaited, so the response time doesn't depend on the email existing
+      sendEmail({
+        to: { name: user.name, address: user.email },
+        ...passwordReset({
+          recipient: user,
+          token,
+          expiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60
+        })
+      }).catch(error => logger.error('Failed to send password reset email:', { userId: user._id, message: error.message }));
+
+      logger.info('Password reset requested', { userId: user._id, ip: req.ip });
+    }
+
+    res.json({
+      success: true,
+      message: FORGOT_PASSWORD_MESSAGE
+    });
+  } catch (error) {
+    logger.error('Forgot password failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     tags: [Authentication]
+ *     description: Set a new password with the token from a password reset email. The token works once, and all of the user's sessions are revoked.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the reset email
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 description: New password (must contain at least one lowercase, uppercase, and number)
+ *                 example: "NewSecurePass456"
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Invalid or expired token, or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
+], validate, async (req, res) => {
+  try {
+    const user = await User.claimResetPasswordToken(req.body.token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Whoever had access before the reset shouldn't keep it
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'password_reset');
+
+    logger.info('Password reset', { userId: user._id, revokedSessions, ip: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    logger.error('Password reset failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     tags: [Authentication]
+ *     description: List the current user's active sessions (one per login), most recently used first
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.getSummary(req.sessionId))
+      }
+    });
+  } catch (error) {
+    logger.error('Get sessions failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Log out everywhere
+ *     tags: [Authentication]
+ *     description: Revoke all of the current user's sessions, including this one, and clear the auth cookies
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out of all sessions"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *                       description: Number of sessions revoked
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    clearAuthCookies(res);
+
+    logger.info('User logged out of all sessions', { userId: req.user._id, revoked });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    logger.error('Logout of all sessions failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out of all sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     tags: [Authentication]
+ *     description: Revoke one of the current user's sessions. Revoking the current session also clears the auth cookies.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/sessions/:id', [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], validate, protect, async (req, res) => {
+  try {
+    const revoked = await Session.revokeWhere({ _id: req.params.id, user: req.user._id }, 'revoked');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (req.sessionId && req.sessionId === req.params.id) {
+      clearAuthCookies(res);
+    }
+
+    logger.info('Session revoked', { userId: req.user._id, sessionId: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user
+ *     tags: [Authentication]
+ *     description: Get the current authenticated user's profile
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: User profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/me', allowWithoutTwoFactor, protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).populate('boards');
+    
+    res.json({
+      success: true,
+      data: {
+        user: user.getProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Get current user failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user information'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   put:
+ *     summary: Update user profile
+ *     tags: [Authentication]
+ *     description: Update the current user's profile information
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 50
+ *                 description: User's full name
+ *                 example: "John Doe"
+ *               preferences:
+ *                 type: object
+ *                 properties:
+ *                   theme:
+ *                     type: string
+ *                     enum: [light, dark, system]
+ *                     description: User's theme preference
+ *                     example: "dark"
+ *                   notifications:
+ *                     type: object
+ *                     properties:
+ *                       email:
+ *                         type: boolean
+ *                         description: Email notifications enabled
+ *                         example: true
+ *                       push:
+ *                         type: boolean
+ *                         description: Push notifications enabled
+ *                         example: false
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Profile updated successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/profile', protect, [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('preferences.theme')
+    .optional()
+    .isIn(['light', 'dark', 'system'])
+    .withMessage('Theme must be light, dark, or system'),
+  body('preferences.notifications.email')
+    .optional()
+    .isBoolean()
+    .withMessage('Email notifications must be a boolean'),
+  body('preferences.notifications.push')
+    .optional()
+    .isBoolean()
+    .withMessage('Push notifications must be a boolean'),
+  body('preferences.notifications.dueReminderHours')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Due reminder hours must be an array of at most 5 values'),
+  body('preferences.notifications.dueReminderHours.*')
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Due reminder hours must be between 1 and 168')
+], validate, async (req, res) => {
+  try {
+    const { name, preferences } = req.body;
+    const updateFields = {};
+
+    if (name) updateFields.name = name;
+    if (preferences) updateFields.preferences = preferences;
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateFields,
+      { new: true, runValidators: true }
+    );
+
+    logger.info('User profile updated', { userId: user._id });
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: {
+        user: user.getProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Profile update failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password:
+ *   put:
+ *     summary: Change password
+ *     tags: [Authentication]
+ *     description: Change the current user's password. All other sessions are revoked.
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 description: Current password
+ *                 example: "OldPass123"
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *                 description: New password (must contain at least one lowercase, uppercase, and number)
+ *                 example: "NewSecurePass456"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Password changed successfully"
+ *       400:
+ *         description: Current password incorrect or validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/password', protect, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
     .isLength({ min: 6 })
     .withMessage('New password must be at least 6 characters long')
     .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
@@ -619,7 +2136,10 @@ router.put('/password', protect, [
     user.password = newPassword;
     await user.save();
 
-    logger.info('Password changed successfully', { userId: user._id });
+    // Log out every other device; the session making the change stays signed in
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'password_changed', { except: req.sessionId });
+
+    logger.info('Password changed successfully', { userId: user._id, revokedSessions });
 
     res.json({
       success: true,
@@ -2,11 +2,21 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const Board = require('../models/Board');
 const BoardMember = require('../models/BoardMember');
-const List = require('../models/List');
 const Card = require('../models/Card');
-const { protect, authorize } = require('../middleware/auth');
+const Activity = require('../models/Activity');
+const Session = require('../models/Session');
+const { protect } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { logger } = require('../utils/logger');
+const { recordActivity, diffFields } = require('../utils/activity');
+const { notify } = require('../utils/notifications');
+const { boardEvents, publishBoardEvent, getEventsSince, ACCESS_EVENTS } = require('../utils/boardEvents');
+const { getBoardAccess } = require('../utils/boardAccess');
+const { touchPresence, leavePresence, getPresence, getCardEditors, PRESENCE_TTL_MS } = require('../utils/presence');
+const { withTransaction } = require('../utils/transaction');
+const { deleteBoardCascade, removeFiles } = require('../utils/cascade');
+const { ErrorResponse, sendErrorResponse } = require('../utils/errorResponse');
+const { assertEmailVerified } = require('../utils/emailVerification');
 
 const router = express.Router();
 
@@ -345,6 +355,10 @@ router.post('/', [
   try {
     const { title, description, background, isPublic, tags } = req.body;
 
+    if (isPublic) {
+      assertEmailVerified(req.user, 'Verify your email address to create public boards');
+    }
+
     const board = await Board.create({
       title,
       description,
@@ -377,6 +391,15 @@ router.post('/', [
 
     await board.populate('owner', 'name email avatar');
 
+    await recordActivity({
+      board: board._id,
+      actor: req.user._id,
+      verb: 'created',
+      targetType: 'board',
+      target: board._id,
+      targetTitle: board.title
+    });
+
     logger.info('Board created', { userId: req.user._id, boardId: board._id });
 
     res.status(201).json({
@@ -387,6 +410,7 @@ router.post('/', [
       }
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) return sendErrorResponse(res, error);
     logger.error('Create board failed:', error);
     res.status(500).json({
       success: false,
@@ -581,6 +605,21 @@ router.get('/:id', [
  *                   type: string
  *                 description: Board tags
  *                 example: ["development", "frontend", "updated"]
+ *               settings:
+ *                 type: object
+ *                 properties:
+ *                   allowComments:
+ *                     type: boolean
+ *                     description: Whether members can comment on cards
+ *                     example: true
+ *                   allowVoting:
+ *                     type: boolean
+ *                     description: Whether members can vote on cards
+ *                     example: false
+ *                   allowSubscriptions:
+ *                     type: boolean
+ *                     description: Whether members can subscribe to cards
+ *                     example: true
  *     responses:
  *       200:
  *         description: Board updated successfully
@@ -658,42 +697,74 @@ router.put('/:id', [
   body('tags')
     .optional()
     .isArray()
-    .withMessage('Tags must be an array')
-], validate, async (req, res) => {
+    .withMessage('Tags must be an array'),
+  body('settings.allowComments')
+    .optional()
+    .isBoolean()
+    .withMessage('allowComments must be a boolean'),
+  body('settings.allowVoting')
+    .optional()
+    .isBoolean()
+    .withMessage('allowVoting must be a boolean'),
+  body('settings.allowSubscriptions')
+    .optional()
+    .isBoolean()
+    .withMessage('allowSubscriptions must be a boolean')
+], validate, checkBoardAccess, async (req, res) => {
   try {
-    const board = await Board.findById(req.params.id);
-
-    if (!board) {
-      return res.status(404).json({
-        success: false,
-        message: 'Board not found'
-      });
-    }
+    const board = req.board;
 
     // Check permissions
-    const canEdit = await authorize(req.user._id, board._id, 'canEditBoard');
-    if (!canEdit) {
+    if (req.userRole !== 'owner' && !req.membership?.permissions?.canEditBoard) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions to edit this board'
       });
     }
 
-    const { title, description, background, isPublic, tags } = req.body;
+    const { title, description, background, isPublic, tags, settings } = req.body;
     const updateFields = {};
 
+    if (isPublic && !board.isPublic) {
+      assertEmailVerified(req.user, 'Verify your email address to make boards public');
+    }
+
     if (title !== undefined) updateFields.title = title;
     if (description !== undefined) updateFields.description = description;
     if (background !== undefined) updateFields.background = background;
     if (isPublic !== undefined) updateFields.isPublic = isPublic;
     if (tags !== undefined) updateFields.tags = tags;
 
+    // Update individual settings so omitted flags keep their current values
+    if (settings) {
+      ['allowComments', 'allowVoting', 'allowSubscriptions'].forEach((key) => {
+        if (settings[key] !== undefined) updateFields[`settings.${key}`] = settings[key];
+      });
+    }
+
+    const changes = diffFields(board, updateFields);
+
     const updatedBoard = await Board.findByIdAndUpdate(
       req.params.id,
       updateFields,
       { new: true, runValidators: true }
     ).populate('owner', 'name email avatar');
 
+    if (changes.changed.length > 0) {
+      await recordActivity({
+        board: board._id,
+        actor: req.user._id,
+        verb: 'updated',
+        targetType: 'board',
+        target: board._id,
+        targetTitle: updatedBoard.title,
+        before: changes.before,
+        after: changes.after
+      });
+    }
+
+    publishBoardEvent(board._id, 'board.updated', { board: updatedBoard.getSummary() }, req.user._id);
+
     logger.info('Board updated', { userId: req.user._id, boardId: board._id });
 
     res.json({
@@ -704,6 +775,7 @@ router.put('/:id', [
       }
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) return sendErrorResponse(res, error);
     logger.error('Update board failed:', error);
     res.status(500).json({
       success: false,
@@ -770,29 +842,26 @@ router.put('/:id', [
  */
 router.delete('/:id', [
   param('id').isMongoId().withMessage('Invalid board ID')
-], validate, async (req, res) => {
+], validate, checkBoardAccess, async (req, res) => {
   try {
-    const board = await Board.findById(req.params.id);
-
-    if (!board) {
-      return res.status(404).json({
-        success: false,
-        message: 'Board not found'
-      });
-    }
+    const board = req.board;
 
     // Check permissions
-    const canDelete = await authorize(req.user._id, board._id, 'canDeleteBoard');
-    if (!canDelete) {
+    if (req.userRole !== 'owner' && !req.membership?.permissions?.canDeleteBoard) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions to delete this board'
       });
     }
 
-    await Board.findByIdAndDelete(req.params.id);
+    // Lists, cards, memberships and the board's activity go with it
+    const files = await withTransaction(session => deleteBoardCascade(board._id, session));
+    await removeFiles(files);
 
-    logger.info('Board deleted', { userId: req.user._id, boardId: board._id });
+    publishBoardEvent(board._id, 'board.deleted', { boardId: board._id }, req.user._id);
+
+    // No activity row: it would belong to a board that no longer exists
+    logger.info('Board deleted', { userId: req.user._id, boardId: board._id, title: board.title });
 
     res.json({
       success: true,
@@ -807,6 +876,225 @@ router.delete('/:id', [
   }
 });
 
+// @desc    Get board activity feed
+// @route   GET /api/boards/:id/activity
+// @access  Private
+router.get('/:id/activity', [
+  param('id').isMongoId().withMessage('Invalid board ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('targetType').optional().isIn(['board', 'list', 'card', 'comment', 'member']).withMessage('Invalid target type')
+], validate, checkBoardAccess, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { board: req.board._id };
+    if (req.query.targetType) filter.targetType = req.query.targetType;
+
+    const [activities, total] = await Promise.all([
+      Activity.find(filter)
+        .populate('actor', 'name email avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Activity.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        activities: activities.map(activity => activity.getSummary()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get board activity failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get board activity'
+    });
+  }
+});
+
+// @desc    Stream board changes as Server-Sent Events
+// @route   GET /api/boards/:id/events
+// @access  Private
+router.get('/:id/events', [
+  param('id').isMongoId().withMessage('Invalid board ID')
+], validate, checkBoardAccess, (req, res) => {
+  const boardId = req.board._id.toString();
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const writeEvent = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  let closed = false;
+  let heartbeat = null;
+  let queue = Promise.resolve();
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    boardEvents.off('event', onEvent);
+    res.end();
+  };
+
+  const handleEvent = async (event) => {
+    if (closed) return;
+
+    if (event.type === 'board.deleted') {
+      writeEvent(event);
+      return close();
+    }
+
+    // Stop streaming a board the user can no longer see
+    if (ACCESS_EVENTS.includes(event.type)) {
+      const access = await getBoardAccess(boardId, req.user._id);
+      if (!access) {
+        res.write('event: access_revoked\ndata: {}\n\n');
+        return close();
+      }
+    }
+
+    writeEvent(event);
+  };
+
+  // End the stream once the session it was opened with is revoked
+  const checkSession = async () => {
+    if (closed || !req.sessionId) return;
+
+    const session = await Session.findById(req.sessionId);
+    if (!session || !session.isActive()) {
+      res.write('event: session_revoked\ndata: {}\n\n');
+      close();
+    }
+  };
+
+  // Run stream work one task at a time so access checks can't reorder events
+  const enqueue = (task) => {
+    queue = queue.then(task).catch((error) => {
+      logger.error('Board event stream failed:', { boardId, message: error.message });
+      close();
+    });
+  };
+
+  function onEvent(event) {
+    if (event.board !== boardId) return;
+    enqueue(() => handleEvent(event));
+  }
+
+  // Replay what a reconnecting client missed, or tell it to refetch
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = getEventsSince(boardId, lastEventId);
+    if (missed === null) {
+      res.write('event: resync\ndata: {}\n\n');
+    } else {
+      missed.forEach(writeEvent);
+    }
+  }
+
+  boardEvents.on('event', onEvent);
+
+  // Keep idle connections open through proxies, and recheck the session
+  heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    enqueue(checkSession);
+  }, 25 * 1000);
+
+  req.on('close', close);
+});
+
+// @desc    Get who is viewing the board and which cards they are editing
+// @route   GET /api/boards/:id/presence
+// @access  Private
+router.get('/:id/presence', [
+  param('id').isMongoId().withMessage('Invalid board ID')
+], validate, checkBoardAccess, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      viewers: getPresence(req.board._id),
+      ttl: PRESENCE_TTL_MS
+    }
+  });
+});
+
+// @desc    Send a presence heartbeat for the board
+// @route   POST /api/boards/:id/presence
+// @access  Private
+router.post('/:id/presence', [
+  param('id').isMongoId().withMessage('Invalid board ID'),
+  body('editingCardId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid card ID')
+], validate, checkBoardAccess, async (req, res) => {
+  try {
+    const { editingCardId } = req.body;
+
+    if (editingCardId) {
+      const card = await Card.exists({ _id: editingCardId, board: req.board._id });
+      if (!card) {
+        return res.status(404).json({
+          success: false,
+          message: 'Card not found on this board'
+        });
+      }
+    }
+
+    const viewers = touchPresence(req.board._id, req.user, editingCardId || null);
+
+    res.json({
+      success: true,
+      data: {
+        viewers,
+        // Other people already editing the same card, so the client can warn
+        conflicts: editingCardId ? getCardEditors(req.board._id, editingCardId, req.user._id) : [],
+        ttl: PRESENCE_TTL_MS
+      }
+    });
+  } catch (error) {
+    logger.error('Presence heartbeat failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update presence'
+    });
+  }
+});
+
+// @desc    Leave the board's presence list
+// @route   DELETE /api/boards/:id/presence
+// @access  Private
+router.delete('/:id/presence', [
+  param('id').isMongoId().withMessage('Invalid board ID')
+], validate, checkBoardAccess, (req, res) => {
+  leavePresence(req.board._id, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Left board presence'
+  });
+});
+
 // @desc    Get board members
 // @route   GET /api/boards/:id/members
 // @access  Private
@@ -870,6 +1158,8 @@ router.post('/:id/members', [
       });
     }
 
+    assertEmailVerified(user, 'This user has not verified their email address yet');
+
     // Check if user is already a member
     const existingMember = await BoardMember.findOne({
       board: req.params.id,
@@ -895,6 +1185,28 @@ router.post('/:id/members', [
       .populate('user', 'name email avatar')
       .populate('invitedBy', 'name email avatar');
 
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'invited',
+      targetType: 'member',
+      target: membership._id,
+      targetTitle: user.name,
+      after: { role },
+      metadata: { user: user._id }
+    });
+
+    await notify({
+      recipients: [user._id],
+      actor: req.user._id,
+      type: 'board_invitation',
+      message: `${req.user.name} invited you to "${req.board.title}" as ${role}`,
+      board: req.board._id,
+      data: { role }
+    });
+
+    publishBoardEvent(req.board._id, 'member.added', { member: populatedMembership.getMemberInfo() }, req.user._id);
+
     logger.info('Member invited to board', { 
       boardId: req.params.id, 
       userId: user._id, 
@@ -909,6 +1221,7 @@ router.post('/:id/members', [
       }
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) return sendErrorResponse(res, error);
     logger.error('Invite member failed:', error);
     res.status(500).json({
       success: false,
@@ -938,14 +1251,10 @@ router.put('/:id/members/:memberId', [
 
     const { role } = req.body;
 
-    const membership = await BoardMember.findOneAndUpdate(
-      { 
-        _id: req.params.memberId, 
-        board: req.params.id 
-      },
-      { role },
-      { new: true }
-    ).populate('user', 'name email avatar');
+    const membership = await BoardMember.findOne({
+      _id: req.params.memberId,
+      board: req.params.id
+    }).populate('user', 'name email avatar');
 
     if (!membership) {
       return res.status(404).json({
@@ -954,6 +1263,27 @@ router.put('/:id/members/:memberId', [
       });
     }
 
+    // Save (rather than findOneAndUpdate) so the role's permissions are reapplied
+    const previousRole = membership.role;
+    membership.role = role;
+    await membership.save();
+
+    if (previousRole !== role) {
+      await recordActivity({
+        board: req.board._id,
+        actor: req.user._id,
+        verb: 'role_changed',
+        targetType: 'member',
+        target: membership._id,
+        targetTitle: membership.user?.name,
+        before: { role: previousRole },
+        after: { role },
+        metadata: { user: membership.user?._id }
+      });
+    }
+
+    publishBoardEvent(req.board._id, 'member.updated', { member: membership.getMemberInfo() }, req.user._id);
+
     logger.info('Member role updated', { 
       boardId: req.params.id, 
       memberId: req.params.memberId, 
@@ -1006,6 +1336,21 @@ router.delete('/:id/members/:memberId', [
       });
     }
 
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'removed',
+      targetType: 'member',
+      target: membership._id,
+      before: { role: membership.role },
+      metadata: { user: membership.user }
+    });
+
+    publishBoardEvent(req.board._id, 'member.removed', {
+      memberId: membership._id,
+      user: membership.user.toString()
+    }, req.user._id);
+
     logger.info('Member removed from board', { 
       boardId: req.params.id, 
       memberId: req.params.memberId, 
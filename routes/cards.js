@@ -1,12 +1,32 @@
 const express = require('express');
-const { body, param } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param, query } = require('express-validator');
 const Card = require('../models/Card');
 const List = require('../models/List');
-const Board = require('../models/Board');
 const BoardMember = require('../models/BoardMember');
+const Activity = require('../models/Activity');
+const User = require('../models/User');
 const { protect } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
+const { uploadAttachment } = require('../middleware/upload');
+const { storage } = require('../utils/storage');
 const { logger } = require('../utils/logger');
+const { recordActivity, diffFields } = require('../utils/activity');
+const { notify } = require('../utils/notifications');
+const { publishBoardEvent } = require('../utils/boardEvents');
+const { getVersion, versionFilter, setETag, getExpectedVersion, isValidVersion } = require('../utils/concurrency');
+const { withTransaction } = require('../utils/transaction');
+const { ErrorResponse, sendErrorResponse } = require('../utils/errorResponse');
+const { getBoardAccess } = require('../utils/boardAccess');
+const {
+  LABEL_MODES,
+  remapCardForBoard,
+  buildCardCopy,
+  copyAttachments,
+  removeAttachmentFiles
+} = require('../utils/cardTransfer');
+const { assertListAllows, reserveListSlot } = require('../utils/listSettings');
+const { deleteCardCascade, removeFiles } = require('../utils/cascade');
 
 const router = express.Router();
 
@@ -67,6 +87,135 @@ const checkCardAccess = async (req, res, next) => {
   }
 };
 
+// Respond 409 with the card's current state so the client can merge and retry
+const sendCardConflict = async (res, cardId) => {
+  const current = await Card.findById(cardId)
+    .populate('assignees', 'name email avatar')
+    .populate('createdBy', 'name email avatar');
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'Card not found'
+    });
+  }
+
+  setETag(res, current);
+  return res.status(409).json({
+    success: false,
+    message: 'Card has been modified by someone else',
+    data: {
+      card: current.getSummary()
+    }
+  });
+};
+
+// Middleware factory to require a Board.settings flag on the card's board
+const requireBoardSetting = (setting, message) => (req, res, next) => {
+  if (req.board.settings?.[setting] === false) {
+    return res.status(403).json({
+      success: false,
+      message
+    });
+  }
+  next();
+};
+
+// Move a card to a 0-based position in a list, possibly on another board.
+// Runs in a transaction and checks the lists' settings against reads made
+// inside it, so concurrent moves can't overfill a list. On another board the
+// card's labels, assignees and subscribers are remapped to that board.
+// Resolves to { card, targetList, dropped }.
+const moveCard = (card, targetListId, position, { labelMode } = {}) => withTransaction(async (session) => {
+  const sourceList = await List.findById(card.list._id || card.list).session(session);
+  const targetList = await List.findById(targetListId).session(session);
+
+  if (!targetList) {
+    throw new ErrorResponse('Target list not found', 400);
+  }
+
+  const isSameList = sourceList && sourceList._id.equals(targetList._id);
+  const isSameBoard = targetList.board.toString() === card.board._id.toString();
+
+  if (sourceList) {
+    assertListAllows(sourceList, 'move', 'Cards cannot be moved out of this list');
+  }
+
+  if (!isSameList) {
+    assertListAllows(targetList, 'move', 'Cards cannot be moved into this list');
+    await reserveListSlot(targetList, session);
+  }
+
+  const update = {
+    list: targetList._id,
+    order: await Card.rankForPosition(targetList._id, position, card._id, session)
+  };
+
+  let dropped = { labels: [], assignees: [] };
+  if (!isSameBoard) {
+    const remapped = await remapCardForBoard(card, targetList.board, { labelMode, session });
+    Object.assign(update, {
+      board: targetList.board,
+      labels: remapped.labels,
+      assignees: remapped.assignees,
+      subscribers: remapped.subscribers
+    });
+    dropped = remapped.dropped;
+  }
+
+  const moved = await Card.findByIdAndUpdate(card._id, update, { new: true, session });
+
+  return { card: moved, targetList, dropped };
+});
+
+// Resolve the list a card is being moved or copied to. Creating a card there
+// (copies, and moves onto another board) needs canCreateCards on its board.
+const checkTargetList = async (req, listId, { requireCreate = false } = {}) => {
+  const list = await List.findById(listId);
+  if (!list) {
+    throw new ErrorResponse('Target list not found', 400);
+  }
+
+  const isSameBoard = list.board.toString() === req.board._id.toString();
+  if (isSameBoard && !requireCreate) return list;
+
+  const access = isSameBoard
+    ? { role: req.userRole, membership: req.membership }
+    : await getBoardAccess(list.board, req.user._id);
+
+  if (!access) {
+    throw new ErrorResponse('You do not have access to the target board', 403);
+  }
+  if (access.role !== 'owner' && access.role !== 'admin' && !access.membership?.permissions?.canCreateCards) {
+    throw new ErrorResponse('You do not have permission to create cards on the target board', 403);
+  }
+
+  return list;
+};
+
+// Middleware factory to require a board permission on the card's board
+const requireCardPermission = (permission, message) => (req, res, next) => {
+  if (req.userRole !== 'owner' && req.userRole !== 'admin') {
+    if (!req.membership?.permissions?.[permission]) {
+      return res.status(403).json({
+        success: false,
+        message
+      });
+    }
+  }
+  next();
+};
+
+// Middleware factory to enforce the card's list settings for an action
+const requireListAllows = (action) => (req, res, next) => {
+  try {
+    assertListAllows(req.card.list, action);
+    next();
+  } catch (error) {
+    sendErrorResponse(res, error);
+  }
+};
+
 /**
  * @swagger
  * /api/cards/list/{listId}:
@@ -164,7 +313,7 @@ router.get('/list/:listId', [
       .populate('assignees', 'name email avatar')
       .populate('createdBy', 'name email avatar')
       .populate('comments.author', 'name email avatar')
-      .sort({ order: 1 });
+      .sort({ order: 1, _id: 1 });
 
     res.json({
       success: true,
@@ -248,9 +397,11 @@ router.get('/:id', [
       .populate('createdBy', 'name email avatar')
       .populate('comments.author', 'name email avatar')
       .populate('votes.user', 'name email avatar')
+      .populate('checklists.items.completedBy', 'name email avatar')
       .populate('list', 'title')
       .populate('board', 'title');
 
+    setETag(res, card);
     res.json({
       success: true,
       data: {
@@ -271,6 +422,109 @@ router.get('/:id', [
   }
 });
 
+// Turn a card activity entry into a list of per-field changes
+const toHistoryChanges = (activity, usersById) => {
+  if (activity.verb === 'created') {
+    return [{
+      field: 'list',
+      from: null,
+      to: { id: activity.metadata?.list, title: activity.metadata?.listTitle }
+    }];
+  }
+
+  if (activity.verb === 'moved') {
+    return [{
+      field: 'list',
+      from: { id: activity.before?.list, title: activity.metadata?.fromListTitle },
+      to: { id: activity.after?.list, title: activity.metadata?.toListTitle }
+    }];
+  }
+
+  // Show assignee names rather than bare ids where we can
+  const describe = (field, value) => {
+    if (field === 'assignees' && Array.isArray(value)) {
+      return value.map(id => usersById.get(id) || { id });
+    }
+    return value;
+  };
+
+  return Object.keys(activity.after || {}).map(field => ({
+    field,
+    from: describe(field, activity.before?.[field] ?? null),
+    to: describe(field, activity.after[field])
+  }));
+};
+
+// @desc    Get card change history
+// @route   GET /api/cards/:id/history
+// @access  Private
+router.get('/:id/history', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, protect, checkCardAccess, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      target: req.card._id,
+      targetType: 'card',
+      verb: { $in: ['created', 'updated', 'moved'] }
+    };
+
+    const [activities, total] = await Promise.all([
+      Activity.find(filter)
+        .populate('actor', 'name email avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Activity.countDocuments(filter)
+    ]);
+
+    const assigneeIds = new Set();
+    activities.forEach((activity) => {
+      [activity.before, activity.after].forEach((values) => {
+        (values?.assignees || []).forEach(id => assigneeIds.add(id));
+      });
+    });
+
+    const users = await User.find({ _id: { $in: [...assigneeIds] } }).select('name email avatar');
+    const usersById = new Map(users.map(user => [user._id.toString(), {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      avatar: user.avatar
+    }]));
+
+    res.json({
+      success: true,
+      data: {
+        history: activities.map(activity => ({
+          id: activity._id,
+          action: activity.verb,
+          actor: activity.actor,
+          changes: toHistoryChanges(activity, usersById),
+          createdAt: activity.createdAt
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get card history failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get card history'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/cards:
@@ -445,22 +699,31 @@ router.post('/', [
       }
     }
 
-    // Get the highest order number
-    const lastCard = await Card.findOne({ list: listId }).sort({ order: -1 });
-    const order = lastCard ? lastCard.order + 1 : 1;
+    // Re-read the list inside the transaction so its settings and WIP limit
+    // are checked against what is committed alongside the new card
+    const card = await withTransaction(async (session) => {
+      const targetList = await List.findById(listId).session(session);
+      if (!targetList) {
+        throw new ErrorResponse('List not found', 404);
+      }
 
-    const card = await Card.create({
-      title,
-      list: listId,
-      board: board._id,
-      description,
-      color,
-      priority,
-      dueDate,
-      labels: labels || [],
-      assignees: assignees || [],
-      order,
-      createdBy: req.user._id
+      assertListAllows(targetList, 'create');
+      await reserveListSlot(targetList, session);
+
+      const [card] = await Card.create([{
+        title,
+        list: listId,
+        board: board._id,
+        description,
+        color,
+        priority,
+        dueDate,
+        labels: labels || [],
+        assignees: assignees || [],
+        createdBy: req.user._id
+      }], { session });
+
+      return card;
     });
 
     await card.populate([
@@ -468,6 +731,27 @@ router.post('/', [
       { path: 'createdBy', select: 'name email avatar' }
     ]);
 
+    await recordActivity({
+      board: board._id,
+      actor: req.user._id,
+      verb: 'created',
+      targetType: 'card',
+      target: card._id,
+      targetTitle: card.title,
+      metadata: { list: list._id, listTitle: list.title }
+    });
+
+    await notify({
+      recipients: card.assignees.map(assignee => assignee._id),
+      actor: req.user._id,
+      type: 'card_assigned',
+      message: `${req.user.name} assigned you to "${card.title}"`,
+      board: board._id,
+      card: card._id
+    });
+
+    publishBoardEvent(board._id, 'card.created', { card: card.getSummary() }, req.user._id);
+
     logger.info('Card created', { userId: req.user._id, cardId: card._id, listId });
 
     res.status(201).json({
@@ -478,6 +762,10 @@ router.post('/', [
       }
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return sendErrorResponse(res, error);
+    }
+
     logger.error('Create card failed:', error);
     res.status(500).json({
       success: false,
@@ -517,6 +805,11 @@ router.put('/:id', [
     .optional()
     .isBoolean()
     .withMessage('isCompleted must be a boolean')
+    .toBoolean(),
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
 ], validate, protect, checkCardAccess, async (req, res) => {
   try {
     // Check permissions
@@ -529,6 +822,20 @@ router.put('/:id', [
       }
     }
 
+    assertListAllows(req.card.list, 'edit');
+
+    // Reject edits made against a stale copy of the card
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion !== undefined && !isValidVersion(expectedVersion)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid If-Match header or version'
+      });
+    }
+    if (expectedVersion !== undefined && getVersion(req.card) !== expectedVersion) {
+      return sendCardConflict(res, req.params.id);
+    }
+
     const { title, description, color, priority, dueDate, isCompleted, labels, assignees } = req.body;
     const updateFields = {};
 
@@ -541,16 +848,59 @@ router.put('/:id', [
     if (labels !== undefined) updateFields.labels = labels;
     if (assignees !== undefined) updateFields.assignees = assignees;
 
-    const card = await Card.findByIdAndUpdate(
-      req.params.id,
+    const changes = diffFields(req.card, updateFields);
+
+    // Matching on the revision makes the write conditional, so a concurrent edit
+    // between our read and this update is still detected
+    const filter = { _id: req.params.id };
+    if (expectedVersion !== undefined) Object.assign(filter, versionFilter(expectedVersion));
+
+    const card = await Card.findOneAndUpdate(
+      filter,
       updateFields,
       { new: true, runValidators: true }
     )
     .populate('assignees', 'name email avatar')
     .populate('createdBy', 'name email avatar');
 
+    if (!card) {
+      return sendCardConflict(res, req.params.id);
+    }
+
+    if (changes.changed.length > 0) {
+      await recordActivity({
+        board: req.board._id,
+        actor: req.user._id,
+        verb: 'updated',
+        targetType: 'card',
+        target: card._id,
+        targetTitle: card.title,
+        before: changes.before,
+        after: changes.after
+      });
+    }
+
+    if (assignees !== undefined) {
+      const previousAssignees = req.card.assignees.map(id => id.toString());
+      const addedAssignees = card.assignees
+        .map(assignee => assignee._id.toString())
+        .filter(id => !previousAssignees.includes(id));
+
+      await notify({
+        recipients: addedAssignees,
+        actor: req.user._id,
+        type: 'card_assigned',
+        message: `${req.user.name} assigned you to "${card.title}"`,
+        board: req.board._id,
+        card: card._id
+      });
+    }
+
+    publishBoardEvent(req.board._id, 'card.updated', { card: card.getSummary() }, req.user._id);
+
     logger.info('Card updated successfully', { cardId: card._id, userId: req.user._id });
 
+    setETag(res, card);
     res.json({
       success: true,
       message: 'Card updated successfully',
@@ -559,6 +909,10 @@ router.put('/:id', [
       }
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return sendErrorResponse(res, error);
+    }
+
     logger.error('Card update failed:', error);
     res.status(500).json({
       success: false,
@@ -584,8 +938,27 @@ router.delete('/:id', [
       }
     }
 
+    assertListAllows(req.card.list, 'delete');
+
     const cardId = req.params.id;
-    await Card.findByIdAndDelete(cardId);
+    // Reminders, notifications and attachment files go with the card
+    const files = await withTransaction(session => deleteCardCascade(cardId, session));
+    await removeFiles(files);
+
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'deleted',
+      targetType: 'card',
+      target: req.card._id,
+      targetTitle: req.card.title,
+      metadata: { list: req.card.list._id, listTitle: req.card.list.title }
+    });
+
+    publishBoardEvent(req.board._id, 'card.deleted', {
+      cardId: req.card._id,
+      listId: req.card.list._id
+    }, req.user._id);
 
     logger.info('Card deleted successfully', { cardId, userId: req.user._id });
 
@@ -594,6 +967,10 @@ router.delete('/:id', [
       message: 'Card deleted successfully'
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return sendErrorResponse(res, error);
+    }
+
     logger.error('Card deletion failed:', error);
     res.status(500).json({
       success: false,
@@ -602,7 +979,7 @@ router.delete('/:id', [
   }
 });
 
-// @desc    Move card to different list
+// @desc    Move card to a list on this or another board
 // @route   PATCH /api/cards/:id/move
 // @access  Private
 router.patch('/:id/move', [
@@ -614,6 +991,11 @@ router.patch('/:id/move', [
     .optional()
     .isInt({ min: 0 })
     .withMessage('Order must be a non-negative integer')
+    .toInt(),
+  body('labelMode')
+    .optional()
+    .isIn(LABEL_MODES)
+    .withMessage(`Label mode must be one of: ${LABEL_MODES.join(', ')}`)
 ], validate, protect, checkCardAccess, async (req, res) => {
   try {
     // Check permissions
@@ -626,27 +1008,52 @@ router.patch('/:id/move', [
       }
     }
 
-    const { listId, order } = req.body;
+    const { listId, order, labelMode } = req.body;
 
-    // Check if target list exists and belongs to the same board
-    const targetList = await List.findById(listId);
-    if (!targetList || targetList.board.toString() !== req.board._id.toString()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Target list not found or does not belong to the same board'
-      });
-    }
+    await checkTargetList(req, listId);
 
-    const card = await Card.findByIdAndUpdate(
-      req.params.id,
-      { 
-        list: listId,
-        order: order !== undefined ? order : 0
-      },
-      { new: true }
-    )
-    .populate('assignees', 'name email avatar')
-    .populate('createdBy', 'name email avatar');
+    // `order` is the 0-based position in the target list (top by default);
+    // only the moved card is written, ranked between its new neighbours
+    const { card, targetList, dropped } = await moveCard(
+      req.card,
+      listId,
+      order !== undefined ? order : 0,
+      { labelMode }
+    );
+    const isSameBoard = targetList.board.toString() === req.board._id.toString();
+
+    await card.populate([
+      { path: 'assignees', select: 'name email avatar' },
+      { path: 'createdBy', select: 'name email avatar' }
+    ]);
+
+    const activity = {
+      actor: req.user._id,
+      verb: 'moved',
+      targetType: 'card',
+      target: card._id,
+      targetTitle: card.title,
+      before: { board: req.board._id, list: req.card.list._id, order: req.card.order },
+      after: { board: targetList.board, list: targetList._id, order: card.order },
+      metadata: { fromListTitle: req.card.list.title, toListTitle: targetList.title }
+    };
+    const event = {
+      card: card.getSummary(),
+      fromListId: req.card.list._id,
+      toListId: targetList._id
+    };
+
+    if (isSameBoard) {
+      await recordActivity({ ...activity, board: req.board._id });
+      publishBoardEvent(req.board._id, 'card.moved', event, req.user._id);
+    } else {
+      // Both boards get the move so each side's history and live views stay complete
+      const crossBoard = { fromBoardId: req.board._id, toBoardId: targetList.board };
+      await recordActivity({ ...activity, board: req.board._id, metadata: { ...activity.metadata, ...crossBoard } });
+      await recordActivity({ ...activity, board: targetList.board, metadata: { ...activity.metadata, ...crossBoard } });
+      publishBoardEvent(req.board._id, 'card.moved', { ...event, ...crossBoard }, req.user._id);
+      publishBoardEvent(targetList.board, 'card.moved', { ...event, ...crossBoard }, req.user._id);
+    }
 
     logger.info('Card moved successfully', { cardId: card._id, listId, userId: req.user._id });
 
@@ -654,10 +1061,15 @@ router.patch('/:id/move', [
       success: true,
       message: 'Card moved successfully',
       data: {
-        card: card.getSummary()
+        card: card.getSummary(),
+        ...(!isSameBoard && { dropped })
       }
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return sendErrorResponse(res, error);
+    }
+
     logger.error('Card move failed:', error);
     res.status(500).json({
       success: false,
@@ -666,6 +1078,133 @@ router.patch('/:id/move', [
   }
 });
 
+// @desc    Copy card to a list on this or another board
+// @route   POST /api/cards/:id/copy
+// @access  Private
+router.post('/:id/copy', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  body('listId')
+    .isMongoId()
+    .withMessage('Invalid list ID'),
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer')
+    .toInt(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('labelMode')
+    .optional()
+    .isIn(LABEL_MODES)
+    .withMessage(`Label mode must be one of: ${LABEL_MODES.join(', ')}`),
+  body(['keepChecklists', 'keepComments', 'keepAttachments'])
+    .optional()
+    .isBoolean()
+    .withMessage('Keep options must be booleans')
+    .toBoolean()
+], validate, protect, checkCardAccess, async (req, res) => {
+  let attachments = [];
+
+  try {
+    const {
+      listId,
+      order,
+      title,
+      labelMode,
+      keepChecklists = true,
+      keepComments = false,
+      keepAttachments = false
+    } = req.body;
+    const source = req.card;
+
+    await checkTargetList(req, listId, { requireCreate: true });
+
+    // Files are copied before the transaction since storage can't take part
+    // in it; they are removed again if the copy fails
+    const copyId = new mongoose.Types.ObjectId();
+    if (keepAttachments) {
+      attachments = await copyAttachments(source.attachments, copyId);
+    }
+
+    const { card, targetList, dropped } = await withTransaction(async (session) => {
+      const targetList = await List.findById(listId).session(session);
+      if (!targetList) {
+        throw new ErrorResponse('Target list not found', 400);
+      }
+
+      assertListAllows(targetList, 'create');
+      await reserveListSlot(targetList, session);
+
+      const remapped = await remapCardForBoard(source, targetList.board, { labelMode, session });
+
+      const [card] = await Card.create([buildCardCopy(source, {
+        remapped,
+        keepChecklists,
+        keepComments,
+        attachments,
+        _id: copyId,
+        title: title || source.title,
+        list: targetList._id,
+        board: targetList.board,
+        order: await Card.rankForPosition(targetList._id, order !== undefined ? order : Infinity, null, session),
+        createdBy: req.user._id
+      })], { session });
+
+      return { card, targetList, dropped: remapped.dropped };
+    });
+
+    await card.populate([
+      { path: 'assignees', select: 'name email avatar' },
+      { path: 'createdBy', select: 'name email avatar' }
+    ]);
+
+    await recordActivity({
+      board: targetList.board,
+      actor: req.user._id,
+      verb: 'created',
+      targetType: 'card',
+      target: card._id,
+      targetTitle: card.title,
+      metadata: {
+        list: targetList._id,
+        listTitle: targetList.title,
+        copiedFrom: source._id,
+        copiedFromBoard: req.board._id
+      }
+    });
+
+    publishBoardEvent(targetList.board, 'card.created', { card: card.getSummary() }, req.user._id);
+
+    logger.info('Card copied successfully', { cardId: card._id, sourceCardId: source._id, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Card copied successfully',
+      data: {
+        card: card.getSummary(),
+        dropped
+      }
+    });
+  } catch (error) {
+    if (attachments.length > 0) {
+      removeAttachmentFiles(attachments);
+    }
+
+    if (error instanceof ErrorResponse) {
+      return sendErrorResponse(res, error);
+    }
+
+    logger.error('Card copy failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to copy card'
+    });
+  }
+});
+
 // @desc    Add comment to card
 // @route   POST /api/cards/:id/comments
 // @access  Private
@@ -674,8 +1213,21 @@ router.post('/:id/comments', [
   body('text')
     .trim()
     .isLength({ min: 1, max: 1000 })
-    .withMessage('Comment must be between 1 and 1000 characters')
-], validate, protect, checkCardAccess, async (req, res) => {
+    .withMessage('Comment must be between 1 and 1000 characters'),
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID'),
+  body('mentions')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Mentions must be an array of at most 20 user IDs'),
+  body('mentions.*')
+    .isMongoId()
+    .withMessage('Invalid mentioned user ID')
+], validate, protect, checkCardAccess,
+requireBoardSetting('allowComments', 'Comments are disabled on this board'),
+async (req, res) => {
   try {
     // Check permissions
     if (req.userRole !== 'owner' && req.userRole !== 'admin') {
@@ -687,17 +1239,87 @@ router.post('/:id/comments', [
       }
     }
 
-    const { text } = req.body;
+    const { text, parentId } = req.body;
 
     const card = await Card.findById(req.params.id);
-    await card.addComment(req.user._id, text);
+
+    if (parentId && !card.comments.id(parentId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parent comment not found'
+      });
+    }
+
+    // Only board members (and the owner) can be mentioned
+    let mentions = [];
+    if (req.body.mentions?.length) {
+      const members = await BoardMember.find({
+        board: req.board._id,
+        user: { $in: req.body.mentions },
+        isActive: true
+      }).select('user');
+
+      mentions = members.map(member => member.user.toString());
+      if (req.body.mentions.includes(req.board.owner.toString())) {
+        mentions.push(req.board.owner.toString());
+      }
+      mentions = [...new Set(mentions)];
+    }
+
+    await card.addComment(req.user._id, text, parentId || null, mentions);
 
     const updatedCard = await Card.findById(req.params.id)
       .populate('comments.author', 'name email avatar');
 
     const newComment = updatedCard.comments[updatedCard.comments.length - 1];
 
-    logger.info('Comment added to card', { cardId: req.params.id, userId: req.user._id });
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'commented',
+      targetType: 'comment',
+      target: newComment._id,
+      targetTitle: req.card.title,
+      after: { text: newComment.text },
+      metadata: { card: req.card._id, parent: newComment.parent }
+    });
+
+    await notify({
+      recipients: mentions,
+      actor: req.user._id,
+      type: 'mention',
+      message: `${req.user.name} mentioned you on "${card.title}"`,
+      board: req.board._id,
+      card: card._id,
+      data: { comment: newComment._id, text: newComment.text }
+    });
+
+    // Reply authors hear about replies; card creator, assignees and subscribers about comments
+    const parentAuthor = parentId ? card.comments.id(parentId).author.toString() : null;
+    if (parentAuthor && !mentions.includes(parentAuthor)) {
+      await notify({
+        recipients: [parentAuthor],
+        actor: req.user._id,
+        type: 'comment_reply',
+        message: `${req.user.name} replied to your comment on "${card.title}"`,
+        board: req.board._id,
+        card: card._id,
+        data: { comment: newComment._id }
+      });
+    }
+
+    await notify({
+      recipients: [card.createdBy, ...card.assignees, ...card.subscribers]
+        .filter(id => id.toString() !== parentAuthor && !mentions.includes(id.toString())),
+      actor: req.user._id,
+      type: 'card_comment',
+      message: `${req.user.name} commented on "${card.title}"`,
+      board: req.board._id,
+      card: card._id,
+      data: { comment: newComment._id }
+    });
+
+    logger.info('Comment added to card', { cardId: req.params.id, userId: req.user._id, parentId });
 
     res.status(201).json({
       success: true,
@@ -715,21 +1337,159 @@ router.post('/:id/comments', [
   }
 });
 
-// @desc    Vote on card
-// @route   POST /api/cards/:id/vote
+// Middleware to load a comment and allow its author or a board owner/admin
+const checkCommentAccess = (req, res, next) => {
+  const comment = req.card.comments.id(req.params.commentId);
+  if (!comment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  const isAuthor = comment.author.toString() === req.user._id.toString();
+  const isModerator = req.userRole === 'owner' || req.userRole === 'admin';
+
+  if (!isAuthor && !isModerator) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the comment author or a board admin can modify this comment'
+    });
+  }
+
+  req.comment = comment;
+  next();
+};
+
+// @desc    Edit comment
+// @route   PUT /api/cards/:id/comments/:commentId
 // @access  Private
-router.post('/:id/vote', [
+router.put('/:id/comments/:commentId', [
   param('id').isMongoId().withMessage('Invalid card ID'),
-  body('value')
+  param('commentId').isMongoId().withMessage('Invalid comment ID'),
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+], validate, protect, checkCardAccess, checkCommentAccess, async (req, res) => {
+  try {
+    if (req.comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const card = await Card.findById(req.params.id);
+    await card.editComment(req.params.commentId, req.body.text);
+
+    const updatedCard = await Card.findById(req.params.id)
+      .populate('comments.author', 'name email avatar');
+
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'edited_comment',
+      targetType: 'comment',
+      target: req.comment._id,
+      targetTitle: req.card.title,
+      before: { text: req.comment.text },
+      after: { text: req.body.text },
+      metadata: { card: req.card._id }
+    });
+
+    logger.info('Comment edited', { cardId: req.params.id, commentId: req.params.commentId, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: {
+        comment: updatedCard.comments.id(req.params.commentId)
+      }
+    });
+  } catch (error) {
+    logger.error('Edit comment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment'
+    });
+  }
+});
+
+// @desc    Delete comment (board owners/admins also remove its replies)
+// @route   DELETE /api/cards/:id/comments/:commentId
+// @access  Private
+router.delete('/:id/comments/:commentId', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('commentId').isMongoId().withMessage('Invalid comment ID')
+], validate, protect, checkCardAccess, checkCommentAccess, async (req, res) => {
+  try {
+    // Authors can't take other users' replies down with their comment
+    const isModerator = req.userRole === 'owner' || req.userRole === 'admin';
+    const card = await Card.findById(req.params.id);
+    const deletedCount = await card.removeComment(req.params.commentId, { keepReplies: !isModerator });
+
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'deleted_comment',
+      targetType: 'comment',
+      target: req.comment._id,
+      targetTitle: req.card.title,
+      before: { text: req.comment.text },
+      metadata: { card: req.card._id, deletedCount }
+    });
+
+    logger.info('Comment deleted', {
+      cardId: req.params.id,
+      commentId: req.params.commentId,
+      deletedCount,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+      data: {
+        deletedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Delete comment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment'
+    });
+  }
+});
+
+// @desc    Vote on card
+// @route   POST /api/cards/:id/vote
+// @access  Private
+router.post('/:id/vote', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  body('value')
     .isInt({ min: -1, max: 1 })
     .withMessage('Vote value must be -1, 0, or 1')
-], validate, protect, checkCardAccess, async (req, res) => {
+], validate, protect, checkCardAccess,
+requireBoardSetting('allowVoting', 'Voting is disabled on this board'),
+async (req, res) => {
   try {
     const { value } = req.body;
 
     const card = await Card.findById(req.params.id);
     await card.addVote(req.user._id, value);
 
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'voted',
+      targetType: 'card',
+      target: card._id,
+      targetTitle: card.title,
+      after: { value }
+    });
+
     logger.info('Vote added to card', { cardId: req.params.id, userId: req.user._id, value });
 
     res.json({
@@ -748,6 +1508,570 @@ router.post('/:id/vote', [
   }
 });
 
+// @desc    Subscribe to card updates
+// @route   POST /api/cards/:id/subscribe
+// @access  Private
+router.post('/:id/subscribe', [
+  param('id').isMongoId().withMessage('Invalid card ID')
+], validate, protect, checkCardAccess,
+requireBoardSetting('allowSubscriptions', 'Subscriptions are disabled on this board'),
+async (req, res) => {
+  try {
+    const card = await Card.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { subscribers: req.user._id } },
+      { new: true }
+    );
+
+    logger.info('User subscribed to card', { cardId: card._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Subscribed to card successfully',
+      data: {
+        subscribersCount: card.subscribers.length
+      }
+    });
+  } catch (error) {
+    logger.error('Subscribe to card failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to subscribe to card'
+    });
+  }
+});
+
+// @desc    Unsubscribe from card updates
+// @route   DELETE /api/cards/:id/subscribe
+// @access  Private
+router.delete('/:id/subscribe', [
+  param('id').isMongoId().withMessage('Invalid card ID')
+], validate, protect, checkCardAccess, async (req, res) => {
+  try {
+    const card = await Card.findByIdAndUpdate(
+      req.params.id,
+      { $pull: { subscribers: req.user._id } },
+      { new: true }
+    );
+
+    logger.info('User unsubscribed from card', { cardId: card._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Unsubscribed from card successfully',
+      data: {
+        subscribersCount: card.subscribers.length
+      }
+    });
+  } catch (error) {
+    logger.error('Unsubscribe from card failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe from card'
+    });
+  }
+});
+
+// @desc    Upload attachment to card
+// @route   POST /api/cards/:id/attachments
+// @access  Private
+router.post('/:id/attachments', [
+  param('id').isMongoId().withMessage('Invalid card ID')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to add attachments to this card'),
+requireListAllows('edit'),
+uploadAttachment, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a file'
+      });
+    }
+
+    const card = req.card;
+    card.attachments.push({
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      url: 'pending',
+      uploadedBy: req.user._id
+    });
+
+    const attachment = card.attachments[card.attachments.length - 1];
+    attachment.url = `/api/cards/${card._id}/attachments/${attachment._id}`;
+    await card.save();
+
+    logger.info('Attachment added to card', {
+      cardId: card._id,
+      attachmentId: attachment._id,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: {
+        attachment
+      }
+    });
+  } catch (error) {
+    logger.error('Upload attachment failed:', error);
+    if (req.file) {
+      storage.remove(req.file.filename).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload attachment'
+    });
+  }
+});
+
+// @desc    Download card attachment
+// @route   GET /api/cards/:id/attachments/:attachmentId
+// @access  Private
+router.get('/:id/attachments/:attachmentId', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+], validate, protect, checkCardAccess, async (req, res) => {
+  try {
+    const attachment = req.card.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = await storage.getStream(attachment.filename);
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment file not found'
+      });
+    }
+
+    res.attachment(attachment.originalName);
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+
+    stream.on('error', (streamError) => {
+      logger.error('Attachment stream failed:', { attachmentId: attachment._id, message: streamError.message });
+      res.destroy(streamError);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Download attachment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download attachment'
+    });
+  }
+});
+
+// @desc    Delete card attachment
+// @route   DELETE /api/cards/:id/attachments/:attachmentId
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('attachmentId').isMongoId().withMessage('Invalid attachment ID')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to delete attachments from this card'),
+requireListAllows('edit'),
+async (req, res) => {
+  try {
+    const card = req.card;
+    const attachment = card.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const { filename } = attachment;
+    attachment.deleteOne();
+    await card.save();
+
+    // Remove the stored file; the card no longer references it either way
+    try {
+      await storage.remove(filename);
+    } catch (removeError) {
+      logger.warn('Failed to remove attachment file:', { filename, message: removeError.message });
+    }
+
+    logger.info('Attachment deleted from card', {
+      cardId: card._id,
+      attachmentId: req.params.attachmentId,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete attachment failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete attachment'
+    });
+  }
+});
+
+// Stamp or clear completion details on a checklist item
+const setChecklistItemCompleted = (item, isCompleted, userId) => {
+  item.isCompleted = isCompleted;
+  item.completedBy = isCompleted ? userId : undefined;
+  item.completedAt = isCompleted ? new Date() : null;
+};
+
+// Look up a checklist (and optionally an item) on req.card, or send a 404
+const findChecklistItem = (req, res, withItem = false) => {
+  const checklist = req.card.checklists.id(req.params.checklistId);
+  if (!checklist) {
+    res.status(404).json({
+      success: false,
+      message: 'Checklist not found'
+    });
+    return null;
+  }
+
+  if (!withItem) return { checklist };
+
+  const item = checklist.items.id(req.params.itemId);
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: 'Checklist item not found'
+    });
+    return null;
+  }
+
+  return { checklist, item };
+};
+
+// @desc    Add checklist to card
+// @route   POST /api/cards/:id/checklists
+// @access  Private
+router.post('/:id/checklists', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Checklist title must be between 1 and 100 characters'),
+  body('items')
+    .optional()
+    .isArray()
+    .withMessage('Items must be an array'),
+  body('items.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Checklist item text must be between 1 and 200 characters')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to edit this card'),
+requireListAllows('edit'),
+async (req, res) => {
+  try {
+    const { title, items } = req.body;
+    const card = req.card;
+
+    card.checklists.push({
+      title,
+      items: (items || []).map(text => ({ text }))
+    });
+    await card.save();
+
+    const checklist = card.checklists[card.checklists.length - 1];
+
+    logger.info('Checklist added to card', { cardId: card._id, checklistId: checklist._id, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist added successfully',
+      data: {
+        checklist
+      }
+    });
+  } catch (error) {
+    logger.error('Add checklist failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add checklist'
+    });
+  }
+});
+
+// @desc    Rename checklist
+// @route   PUT /api/cards/:id/checklists/:checklistId
+// @access  Private
+router.put('/:id/checklists/:checklistId', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('checklistId').isMongoId().withMessage('Invalid checklist ID'),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Checklist title must be between 1 and 100 characters')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to edit this card'),
+requireListAllows('edit'),
+async (req, res) => {
+  try {
+    const found = findChecklistItem(req, res);
+    if (!found) return;
+
+    found.checklist.title = req.body.title;
+    await req.card.save();
+
+    logger.info('Checklist updated', { cardId: req.card._id, checklistId: found.checklist._id, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Checklist updated successfully',
+      data: {
+        checklist: found.checklist
+      }
+    });
+  } catch (error) {
+    logger.error('Update checklist failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update checklist'
+    });
+  }
+});
+
+// @desc    Delete checklist
+// @route   DELETE /api/cards/:id/checklists/:checklistId
+// @access  Private
+router.delete('/:id/checklists/:checklistId', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('checklistId').isMongoId().withMessage('Invalid checklist ID')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to edit this card'),
+requireListAllows('edit'),
+async (req, res) => {
+  try {
+    const found = findChecklistItem(req, res);
+    if (!found) return;
+
+    found.checklist.deleteOne();
+    await req.card.save();
+
+    logger.info('Checklist deleted', { cardId: req.card._id, checklistId: req.params.checklistId, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Checklist deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete checklist failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete checklist'
+    });
+  }
+});
+
+// @desc    Add item to checklist
+// @route   POST /api/cards/:id/checklists/:checklistId/items
+// @access  Private
+router.post('/:id/checklists/:checklistId/items', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('checklistId').isMongoId().withMessage('Invalid checklist ID'),
+  body('text')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Checklist item text must be between 1 and 200 characters'),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to edit this card'),
+requireListAllows('edit'),
+async (req, res) => {
+  try {
+    const found = findChecklistItem(req, res);
+    if (!found) return;
+
+    const { checklist } = found;
+    const { text, position } = req.body;
+    const index = position !== undefined
+      ? Math.min(parseInt(position), checklist.items.length)
+      : checklist.items.length;
+
+    checklist.items.splice(index, 0, { text });
+    await req.card.save();
+
+    logger.info('Checklist item added', { cardId: req.card._id, checklistId: checklist._id, userId: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item added successfully',
+      data: {
+        item: checklist.items[index],
+        checklist
+      }
+    });
+  } catch (error) {
+    logger.error('Add checklist item failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add checklist item'
+    });
+  }
+});
+
+// @desc    Update checklist item (rename, complete or reposition)
+// @route   PUT /api/cards/:id/checklists/:checklistId/items/:itemId
+// @access  Private
+router.put('/:id/checklists/:checklistId/items/:itemId', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('checklistId').isMongoId().withMessage('Invalid checklist ID'),
+  param('itemId').isMongoId().withMessage('Invalid checklist item ID'),
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Checklist item text must be between 1 and 200 characters'),
+  body('isCompleted')
+    .optional()
+    .isBoolean()
+    .withMessage('isCompleted must be a boolean')
+    .toBoolean(),
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to edit this card'),
+requireListAllows('edit'),
+async (req, res) => {
+  try {
+    const found = findChecklistItem(req, res, true);
+    if (!found) return;
+
+    const { checklist, item } = found;
+    const { text, isCompleted, position } = req.body;
+
+    if (text !== undefined) item.text = text;
+    if (isCompleted !== undefined && isCompleted !== item.isCompleted) {
+      setChecklistItemCompleted(item, isCompleted, req.user._id);
+    }
+
+    if (position !== undefined) {
+      const currentIndex = checklist.items.indexOf(item);
+      const newIndex = Math.min(parseInt(position), checklist.items.length - 1);
+      if (currentIndex !== newIndex) {
+        const moved = item.toObject();
+        checklist.items.splice(currentIndex, 1);
+        checklist.items.splice(newIndex, 0, moved);
+      }
+    }
+
+    await req.card.save();
+
+    logger.info('Checklist item updated', { cardId: req.card._id, itemId: req.params.itemId, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Checklist item updated successfully',
+      data: {
+        item: checklist.items.id(req.params.itemId),
+        checklist
+      }
+    });
+  } catch (error) {
+    logger.error('Update checklist item failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update checklist item'
+    });
+  }
+});
+
+// @desc    Toggle checklist item completion
+// @route   PATCH /api/cards/:id/checklists/:checklistId/items/:itemId/toggle
+// @access  Private
+router.patch('/:id/checklists/:checklistId/items/:itemId/toggle', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('checklistId').isMongoId().withMessage('Invalid checklist ID'),
+  param('itemId').isMongoId().withMessage('Invalid checklist item ID')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to edit this card'),
+requireListAllows('edit'),
+async (req, res) => {
+  try {
+    const found = findChecklistItem(req, res, true);
+    if (!found) return;
+
+    const { checklist, item } = found;
+    setChecklistItemCompleted(item, !item.isCompleted, req.user._id);
+    await req.card.save();
+
+    logger.info('Checklist item toggled', {
+      cardId: req.card._id,
+      itemId: item._id,
+      isCompleted: item.isCompleted,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: item.isCompleted ? 'Checklist item completed' : 'Checklist item reopened',
+      data: {
+        item,
+        checklist
+      }
+    });
+  } catch (error) {
+    logger.error('Toggle checklist item failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to toggle checklist item'
+    });
+  }
+});
+
+// @desc    Delete checklist item
+// @route   DELETE /api/cards/:id/checklists/:checklistId/items/:itemId
+// @access  Private
+router.delete('/:id/checklists/:checklistId/items/:itemId', [
+  param('id').isMongoId().withMessage('Invalid card ID'),
+  param('checklistId').isMongoId().withMessage('Invalid checklist ID'),
+  param('itemId').isMongoId().withMessage('Invalid checklist item ID')
+], validate, protect, checkCardAccess,
+requireCardPermission('canEditCards', 'You do not have permission to edit this card'),
+requireListAllows('edit'),
+async (req, res) => {
+  try {
+    const found = findChecklistItem(req, res, true);
+    if (!found) return;
+
+    found.item.deleteOne();
+    await req.card.save();
+
+    logger.info('Checklist item deleted', { cardId: req.card._id, itemId: req.params.itemId, userId: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Checklist item deleted successfully',
+      data: {
+        checklist: found.checklist
+      }
+    });
+  } catch (error) {
+    logger.error('Delete checklist item failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete checklist item'
+    });
+  }
+});
+
 // @desc    Reorder cards
 // @route   PUT /api/cards/reorder
 // @access  Private
@@ -795,6 +2119,8 @@ router.put('/reorder', [
       }
     }
 
+    assertListAllows(list, 'move');
+
     // Verify all cards belong to the list
     const cardIds = cardOrders.map(item => item.cardId);
     const cards = await Card.find({ _id: { $in: cardIds }, list: listId });
@@ -807,7 +2133,9 @@ router.put('/reorder', [
     }
 
     // Reorder cards
-    await Card.reorderCards(listId, cardOrders);
+    const ranks = await Card.reorderCards(listId, cardOrders);
+
+    publishBoardEvent(board._id, 'card.reordered', { listId, cardOrders: ranks }, req.user._id);
 
     logger.info('Cards reordered successfully', { listId, userId: req.user._id });
 
@@ -816,6 +2144,10 @@ router.put('/reorder', [
       message: 'Cards reordered successfully'
     });
   } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return sendErrorResponse(res, error);
+    }
+
     logger.error('Card reorder failed:', error);
     res.status(500).json({
       success: false,
@@ -1,11 +1,29 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, param } = require('express-validator');
 const List = require('../models/List');
+const Card = require('../models/Card');
 const Board = require('../models/Board');
 const BoardMember = require('../models/BoardMember');
 const { protect } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { logger } = require('../utils/logger');
+const { recordActivity, diffFields } = require('../utils/activity');
+const { publishBoardEvent } = require('../utils/boardEvents');
+const { getVersion, versionFilter, setETag, getExpectedVersion, isValidVersion } = require('../utils/concurrency');
+const { withTransaction } = require('../utils/transaction');
+const { ErrorResponse, sendErrorResponse } = require('../utils/errorResponse');
+const { getBoardAccess } = require('../utils/boardAccess');
+const { generateRanks } = require('../utils/rank');
+const { deleteListCascade, removeFiles } = require('../utils/cascade');
+const {
+  LABEL_MODES,
+  getRemapContext,
+  remapCard,
+  buildCardCopy,
+  copyAttachments,
+  removeAttachmentFiles
+} = require('../utils/cardTransfer');
 
 const router = express.Router();
 
@@ -32,29 +50,29 @@ const checkListAccess = async (req, res, next) => {
       return next();
     }
 
-    // Check if board is public
-    if (board.isPublic) {
-      req.userRole = 'viewer';
-      return next();
-    }
-
-    // Check membership
+    // Check membership first, so members of a public board keep their permissions
     const membership = await BoardMember.findOne({
       board: board._id,
       user: req.user._id,
       isActive: true
     });
 
-    if (!membership) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
+    if (membership) {
+      req.userRole = membership.role;
+      req.membership = membership;
+      return next();
     }
 
-    req.userRole = membership.role;
-    req.membership = membership;
-    next();
+    // Anyone else may only view a public board
+    if (board.isPublic) {
+      req.userRole = 'viewer';
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
   } catch (error) {
     logger.error('List access check failed:', error);
     res.status(500).json({
@@ -64,6 +82,60 @@ const checkListAccess = async (req, res, next) => {
   }
 };
 
+// Respond 409 with the list's current state so the client can merge and retry
+const sendListConflict = async (res, listId) => {
+  const current = await List.findById(listId).populate('createdBy', 'name email avatar');
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      message: 'List not found'
+    });
+  }
+
+  setETag(res, current);
+  return res.status(409).json({
+    success: false,
+    message: 'List has been modified by someone else',
+    data: {
+      list: current.getSummary()
+    }
+  });
+};
+
+// Check the user may add a list and its cards to a board, as when creating them there
+const checkTargetBoard = async (req, boardId) => {
+  const access = await getBoardAccess(boardId, req.user._id);
+  if (!access) {
+    throw new ErrorResponse('Target board not found or access denied', 404);
+  }
+
+  if (access.role !== 'owner' && access.role !== 'admin') {
+    const permissions = access.membership?.permissions;
+    if (!permissions?.canCreateLists || !permissions?.canCreateCards) {
+      throw new ErrorResponse('You do not have permission to create lists and cards on the target board', 403);
+    }
+  }
+
+  return access.board;
+};
+
+// Collects what remapping dropped across many cards, without repeats
+const createDroppedSummary = () => {
+  const labels = new Set();
+  const assignees = new Set();
+
+  return {
+    add(dropped) {
+      dropped.labels.forEach(label => labels.add(label));
+      dropped.assignees.forEach(assignee => assignees.add(assignee));
+    },
+    toJSON() {
+      return { labels: [...labels], assignees: [...assignees] };
+    }
+  };
+};
+
 /**
  * @swagger
  * /api/lists/board/{boardId}:
@@ -165,7 +237,7 @@ router.get('/board/:boardId', [
         }
       })
       .populate('createdBy', 'name email avatar')
-      .sort({ order: 1 });
+      .sort({ order: 1, _id: 1 });
 
     res.json({
       success: true,
@@ -259,6 +331,7 @@ router.get('/:id', [
       .populate('createdBy', 'name email avatar')
       .populate('board', 'title description');
 
+    setETag(res, list);
     res.json({
       success: true,
       data: {
@@ -412,21 +485,27 @@ router.post('/', [
       }
     }
 
-    // Get the highest order number
-    const lastList = await List.findOne({ board: boardId }).sort({ order: -1 });
-    const order = lastList ? lastList.order + 1 : 1;
-
     const list = await List.create({
       title,
       board: boardId,
       description,
       color,
-      order,
       createdBy: req.user._id
     });
 
     await list.populate('createdBy', 'name email avatar');
 
+    await recordActivity({
+      board: board._id,
+      actor: req.user._id,
+      verb: 'created',
+      targetType: 'list',
+      target: list._id,
+      targetTitle: list.title
+    });
+
+    publishBoardEvent(board._id, 'list.created', { list: list.getSummary() }, req.user._id);
+
     logger.info('List created', { userId: req.user._id, listId: list._id, boardId });
 
     res.status(201).json({
@@ -484,6 +563,27 @@ router.post('/', [
  *                 type: string
  *                 description: List color
  *                 example: "#ff6b6b"
+ *               settings:
+ *                 type: object
+ *                 properties:
+ *                   allowCardCreation:
+ *                     type: boolean
+ *                     description: Whether cards can be added to the list
+ *                   allowCardEditing:
+ *                     type: boolean
+ *                     description: Whether cards in the list can be edited
+ *                   allowCardDeletion:
+ *                     type: boolean
+ *                     description: Whether cards can be deleted from the list
+ *                   allowCardMoving:
+ *                     type: boolean
+ *                     description: Whether cards can be moved in, out of or within the list
+ *                   maxCards:
+ *                     type: integer
+ *                     nullable: true
+ *                     minimum: 1
+ *                     description: WIP limit on open cards in the list (null for none)
+ *                     example: 5
  *     responses:
  *       200:
  *         description: List updated successfully
@@ -549,32 +649,89 @@ router.put('/:id', [
   body('color')
     .optional()
     .isString()
-    .withMessage('Color must be a string')
+    .withMessage('Color must be a string'),
+  body(['settings.allowCardCreation', 'settings.allowCardEditing', 'settings.allowCardDeletion', 'settings.allowCardMoving'])
+    .optional()
+    .isBoolean()
+    .withMessage('List settings flags must be booleans'),
+  body('settings.maxCards')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('maxCards must be a positive integer or null'),
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Version must be a non-negative integer')
 ], validate, protect, checkListAccess, async (req, res) => {
   try {
-    const { title, description, color } = req.body;
+    const { title, description, color, settings } = req.body;
 
     // Check edit permissions
-    if (req.userRole !== 'owner' && req.membership && !req.membership.permissions.canEditLists) {
+    if (req.userRole !== 'owner' && !req.membership?.permissions?.canEditLists) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to edit this list'
       });
     }
 
+    // Reject edits made against a stale copy of the list
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion !== undefined && !isValidVersion(expectedVersion)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid If-Match header or version'
+      });
+    }
+    if (expectedVersion !== undefined && getVersion(req.list) !== expectedVersion) {
+      return sendListConflict(res, req.params.id);
+    }
+
     const updateFields = {};
     if (title !== undefined) updateFields.title = title;
     if (description !== undefined) updateFields.description = description;
     if (color !== undefined) updateFields.color = color;
 
-    const list = await List.findByIdAndUpdate(
-      req.params.id,
+    // Update individual settings so omitted ones keep their current values
+    if (settings) {
+      ['allowCardCreation', 'allowCardEditing', 'allowCardDeletion', 'allowCardMoving', 'maxCards'].forEach((key) => {
+        if (settings[key] !== undefined) updateFields[`settings.${key}`] = settings[key];
+      });
+    }
+
+    const changes = diffFields(req.list, updateFields);
+
+    // Conditional on the revision so an edit landing after our read still conflicts
+    const filter = { _id: req.params.id };
+    if (expectedVersion !== undefined) Object.assign(filter, versionFilter(expectedVersion));
+
+    const list = await List.findOneAndUpdate(
+      filter,
       updateFields,
       { new: true, runValidators: true }
     ).populate('createdBy', 'name email avatar');
 
+    if (!list) {
+      return sendListConflict(res, req.params.id);
+    }
+
+    if (changes.changed.length > 0) {
+      await recordActivity({
+        board: req.board._id,
+        actor: req.user._id,
+        verb: 'updated',
+        targetType: 'list',
+        target: list._id,
+        targetTitle: list.title,
+        before: changes.before,
+        after: changes.after
+      });
+    }
+
+    publishBoardEvent(req.board._id, 'list.updated', { list: list.getSummary() }, req.user._id);
+
     logger.info('List updated', { userId: req.user._id, listId: list._id });
 
+    setETag(res, list);
     res.json({
       success: true,
       message: 'List updated successfully',
@@ -652,14 +809,27 @@ router.delete('/:id', [
 ], validate, protect, checkListAccess, async (req, res) => {
   try {
     // Check delete permissions
-    if (req.userRole !== 'owner' && req.membership && !req.membership.permissions.canDeleteLists) {
+    if (req.userRole !== 'owner' && !req.membership?.permissions?.canDeleteLists) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to delete this list'
       });
     }
 
-    await List.findByIdAndDelete(req.params.id);
+    // The list's cards go with it
+    const files = await withTransaction(session => deleteListCascade(req.list._id, session));
+    await removeFiles(files);
+
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'deleted',
+      targetType: 'list',
+      target: req.list._id,
+      targetTitle: req.list.title
+    });
+
+    publishBoardEvent(req.board._id, 'list.deleted', { listId: req.list._id }, req.user._id);
 
     logger.info('List deleted', { userId: req.user._id, listId: req.params.id });
 
@@ -757,12 +927,13 @@ router.put('/:id/reorder', [
   body('newOrder')
     .isInt({ min: 1 })
     .withMessage('New order must be a positive integer')
+    .toInt()
 ], validate, protect, checkListAccess, async (req, res) => {
   try {
     const { newOrder } = req.body;
 
     // Check edit permissions
-    if (req.userRole !== 'owner' && req.membership && !req.membership.permissions.canEditLists) {
+    if (req.userRole !== 'owner' && !req.membership?.permissions?.canEditLists) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to reorder this list'
@@ -770,7 +941,13 @@ router.put('/:id/reorder', [
     }
 
     const list = await List.findById(req.params.id);
-    const currentOrder = list.order;
+
+    // newOrder is a 1-based position; work out where the list is now
+    const siblings = await List.find({ board: list.board })
+      .select('_id')
+      .sort({ order: 1, _id: 1 })
+      .lean();
+    const currentOrder = siblings.findIndex(sibling => sibling._id.equals(list._id)) + 1;
 
     if (currentOrder === newOrder) {
       return res.json({
@@ -779,23 +956,29 @@ router.put('/:id/reorder', [
       });
     }
 
-    // Update orders of other lists
-    if (currentOrder < newOrder) {
-      await List.updateMany(
-        { board: list.board, order: { $gt: currentOrder, $lte: newOrder } },
-        { $inc: { order: -1 } }
-      );
-    } else {
-      await List.updateMany(
-        { board: list.board, order: { $gte: newOrder, $lt: currentOrder } },
-        { $inc: { order: 1 } }
-      );
-    }
-
-    // Update the target list
-    list.order = newOrder;
+    // Only the moved list is written, ranked between its new neighbours
+    const previousRank = list.order;
+    list.order = await List.rankForPosition(list.board, newOrder - 1, list._id);
     await list.save();
 
+    await recordActivity({
+      board: req.board._id,
+      actor: req.user._id,
+      verb: 'reordered',
+      targetType: 'list',
+      target: list._id,
+      targetTitle: list.title,
+      before: { order: previousRank, position: currentOrder },
+      after: { order: list.order, position: newOrder }
+    });
+
+    publishBoardEvent(req.board._id, 'list.reordered', {
+      listId: list._id,
+      previousOrder: currentOrder,
+      order: newOrder,
+      rank: list.order
+    }, req.user._id);
+
     logger.info('List reordered', { userId: req.user._id, listId: list._id, newOrder });
 
     res.json({
@@ -811,4 +994,461 @@ router.put('/:id/reorder', [
   }
 });
 
+
+/**
+ * @swagger
+ * /api/lists/{id}/move:
+ *   post:
+ *     summary: Move list
+ *     tags: [Lists]
+ *     description: Move a list with all its cards to a position on this or another board
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - boardId
+ *             properties:
+ *               boardId:
+ *                 type: string
+ *                 description: Target board ID
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: 1-based position on the target board (defaults to the end)
+ *                 example: 2
+ *               labelMode:
+ *                 type: string
+ *                 enum: [remap, keep, drop]
+ *                 description: How card labels are carried to another board
+ *     responses:
+ *       200:
+ *         description: List moved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "List moved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     list:
+ *                       $ref: '#/components/schemas/List'
+ *                     dropped:
+ *                       type: object
+ *                       description: Labels and assignees removed from cards because they don't exist on the target board
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Access denied or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: List or target board not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/move', [
+  param('id').isMongoId().withMessage('Invalid list ID'),
+  body('boardId')
+    .isMongoId()
+    .withMessage('Invalid board ID'),
+  body('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive integer')
+    .toInt(),
+  body('labelMode')
+    .optional()
+    .isIn(LABEL_MODES)
+    .withMessage(`Label mode must be one of: ${LABEL_MODES.join(', ')}`)
+], validate, protect, checkListAccess, async (req, res) => {
+  try {
+    const { boardId, position, labelMode } = req.body;
+    const isSameBoard = boardId === req.board._id.toString();
+
+    // Within a board this is a reorder; leaving the board removes the list from it
+    const permission = isSameBoard ? 'canEditLists' : 'canDeleteLists';
+    if (req.userRole !== 'owner' && !req.membership?.permissions?.[permission]) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to move this list'
+      });
+    }
+
+    const targetBoard = isSameBoard ? req.board : await checkTargetBoard(req, boardId);
+    const dropped = createDroppedSummary();
+
+    const list = await withTransaction(async (session) => {
+      const list = await List.findById(req.list._id).session(session);
+
+      list.order = await List.rankForPosition(
+        targetBoard._id,
+        position !== undefined ? position - 1 : Infinity,
+        list._id,
+        session
+      );
+
+      if (!isSameBoard) {
+        list.board = targetBoard._id;
+
+        // Point every card at the new board, remapping what doesn't exist there
+        const context = await getRemapContext(targetBoard._id, { labelMode, session });
+        const cards = await Card.find({ list: list._id }).session(session);
+        const updates = cards.map((card) => {
+          const remapped = remapCard(card, context);
+          dropped.add(remapped.dropped);
+
+          return {
+            updateOne: {
+              filter: { _id: card._id },
+              update: {
+                board: targetBoard._id,
+                labels: remapped.labels,
+                assignees: remapped.assignees,
+                subscribers: remapped.subscribers
+              }
+            }
+          };
+        });
+
+        if (updates.length > 0) {
+          await Card.bulkWrite(updates, { session });
+        }
+      }
+
+      await list.save({ session });
+      return list;
+    });
+
+    await list.populate('createdBy', 'name email avatar');
+
+    const activity = {
+      actor: req.user._id,
+      verb: 'moved',
+      targetType: 'list',
+      target: list._id,
+      targetTitle: list.title,
+      before: { board: req.board._id, order: req.list.order },
+      after: { board: targetBoard._id, order: list.order }
+    };
+
+    if (isSameBoard) {
+      await recordActivity({ ...activity, board: req.board._id });
+      publishBoardEvent(req.board._id, 'list.moved', { list: list.getSummary() }, req.user._id);
+    } else {
+      const metadata = { fromBoardId: req.board._id, toBoardId: targetBoard._id, toBoardTitle: targetBoard.title };
+      await recordActivity({ ...activity, board: req.board._id, metadata });
+      await recordActivity({ ...activity, board: targetBoard._id, metadata: { ...metadata, fromBoardTitle: req.board.title } });
+
+      const event = { list: list.getSummary(), fromBoardId: req.board._id, toBoardId: targetBoard._id };
+      publishBoardEvent(req.board._id, 'list.moved', event, req.user._id);
+      publishBoardEvent(targetBoard._id, 'list.moved', event, req.user._id);
+    }
+
+    logger.info('List moved', { userId: req.user._id, listId: list._id, boardId: targetBoard._id });
+
+    res.json({
+      success: true,
+      message: 'List moved successfully',
+      data: {
+        list: list.getSummary(),
+        ...(!isSameBoard && { dropped })
+      }
+    });
+  } catch (error) {
+    if (error instanceof ErrorResponse) {
+      return sendErrorResponse(res, error);
+    }
+
+    logger.error('Move list failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move list'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/lists/{id}/copy:
+ *   post:
+ *     summary: Copy list
+ *     tags: [Lists]
+ *     description: Copy a list and its open cards to a position on this or another board
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: List ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - boardId
+ *             properties:
+ *               boardId:
+ *                 type: string
+ *                 description: Target board ID
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: 1-based position on the target board (defaults to the end)
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Title for the copy (defaults to the original title)
+ *               labelMode:
+ *                 type: string
+ *                 enum: [remap, keep, drop]
+ *                 description: How card labels are carried to the target board
+ *               keepChecklists:
+ *                 type: boolean
+ *                 default: true
+ *               keepComments:
+ *                 type: boolean
+ *                 default: false
+ *               keepAttachments:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: List copied successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "List copied successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     list:
+ *                       $ref: '#/components/schemas/List'
+ *                     cardsCount:
+ *                       type: integer
+ *                     dropped:
+ *                       type: object
+ *                       description: Labels and assignees left off the copied cards
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Access denied or insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: List or target board not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/copy', [
+  param('id').isMongoId().withMessage('Invalid list ID'),
+  body('boardId')
+    .isMongoId()
+    .withMessage('Invalid board ID'),
+  body('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive integer')
+    .toInt(),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('labelMode')
+    .optional()
+    .isIn(LABEL_MODES)
+    .withMessage(`Label mode must be one of: ${LABEL_MODES.join(', ')}`),
+  body(['keepChecklists', 'keepComments', 'keepAttachments'])
+    .optional()
+    .isBoolean()
+    .withMessage('Keep options must be booleans')
+    .toBoolean()
+], validate, protect, checkListAccess, async (req, res) => {
+  const attachments = [];
+
+  try {
+    const {
+      boardId,
+      position,
+      title,
+      labelMode,
+      keepChecklists = true,
+      keepComments = false,
+      keepAttachments = false
+    } = req.body;
+    const source = req.list;
+
+    const targetBoard = await checkTargetBoard(req, boardId);
+
+    const cards = await Card.find({ list: source._id, isArchived: false }).sort({ order: 1, _id: 1 });
+    const cardIds = cards.map(() => new mongoose.Types.ObjectId());
+
+    // Files are copied before the transaction since storage can't take part
+    // in it; they are removed again if the copy fails
+    const cardAttachments = [];
+    for (let i = 0; i < cards.length; i++) {
+      const copies = keepAttachments ? await copyAttachments(cards[i].attachments, cardIds[i]) : [];
+      attachments.push(...copies);
+      cardAttachments.push(copies);
+    }
+
+    const dropped = createDroppedSummary();
+
+    const list = await withTransaction(async (session) => {
+      const [list] = await List.create([{
+        title: title || source.title,
+        description: source.description,
+        color: source.color,
+        settings: source.toObject().settings,
+        board: targetBoard._id,
+        order: await List.rankForPosition(
+          targetBoard._id,
+          position !== undefined ? position - 1 : Infinity,
+          null,
+          session
+        ),
+        createdBy: req.user._id
+      }], { session });
+
+      const context = await getRemapContext(targetBoard._id, { labelMode, session });
+      const ranks = generateRanks(cards.length);
+      const copies = cards.map((card, index) => {
+        const remapped = remapCard(card, context);
+        dropped.add(remapped.dropped);
+
+        return buildCardCopy(card, {
+          remapped,
+          keepChecklists,
+          keepComments,
+          attachments: cardAttachments[index],
+          _id: cardIds[index],
+          list: list._id,
+          board: targetBoard._id,
+          order: ranks[index],
+          createdBy: req.user._id
+        });
+      });
+
+      if (copies.length > 0) {
+        await Card.insertMany(copies, { session });
+      }
+
+      return list;
+    });
+
+    await list.populate('createdBy', 'name email avatar');
+
+    await recordActivity({
+      board: targetBoard._id,
+      actor: req.user._id,
+      verb: 'created',
+      targetType: 'list',
+      target: list._id,
+      targetTitle: list.title,
+      metadata: { copiedFrom: source._id, copiedFromBoard: req.board._id, cardsCount: cards.length }
+    });
+
+    publishBoardEvent(targetBoard._id, 'list.created', { list: list.getSummary() }, req.user._id);
+
+    logger.info('List copied', { userId: req.user._id, listId: list._id, sourceListId: source._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'List copied successfully',
+      data: {
+        list: list.getSummary(),
+        cardsCount: cards.length,
+        dropped
+      }
+    });
+  } catch (error) {
+    if (attachments.length > 0) {
+      removeAttachmentFiles(attachments);
+    }
+
+    if (error instanceof ErrorResponse) {
+      return sendErrorResponse(res, error);
+    }
+
+    logger.error('Copy list failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to copy list'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,150 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(protect);
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be a boolean')
+], validate, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unreadOnly === 'true') filter.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'name email avatar')
+        .populate('board', 'title')
+        .populate('card', 'title')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user._id, isRead: false })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: notifications.map(notification => notification.getSummary()),
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get notifications failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notifications'
+    });
+  }
+});
+
+// @desc    Get unread notification count
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+
+    res.json({
+      success: true,
+      data: {
+        unreadCount
+      }
+    });
+  } catch (error) {
+    logger.error('Get unread notification count failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get unread notification count'
+    });
+  }
+});
+
+// @desc    Mark all notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+router.patch('/read-all', async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    logger.info('Notifications marked as read', { userId: req.user._id, count: result.modifiedCount });
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: {
+        updatedCount: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    logger.error('Mark all notifications read failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+});
+
+// @desc    Mark notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+router.patch('/:id/read', [
+  param('id').isMongoId().withMessage('Invalid notification ID')
+], validate, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: {
+        notification: notification.getSummary()
+      }
+    });
+  } catch (error) {
+    logger.error('Mark notification read failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
 const { validate } = require('../middleware/validate');
 const { logger } = require('../utils/logger');
+const { withTransaction } = require('../utils/transaction');
+const { deleteUserCascade, removeFiles } = require('../utils/cascade');
+const { publishBoardEvent } = require('../utils/boardEvents');
 
 const router = express.Router();
 
@@ -536,7 +539,7 @@ router.put('/:id', [
  *   delete:
  *     summary: Delete user (admin only)
  *     tags: [Users]
- *     description: Delete a user account (admin access required)
+ *     description: Delete a user account along with the boards they own and their memberships (admin access required)
  *     security:
  *       - bearerAuth: []
  *       - cookieAuth: []
@@ -607,9 +610,14 @@ router.delete('/:id', [
       });
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    const { files, boardIds } = await withTransaction(session => deleteUserCascade(user._id, session));
+    await removeFiles(files);
 
-    logger.info('User deleted by admin', { userId: user._id, deletedBy: req.user._id });
+    boardIds.forEach((boardId) => {
+      publishBoardEvent(boardId, 'board.deleted', { boardId }, req.user._id);
+    });
+
+    logger.info('User deleted by admin', { userId: user._id, deletedBy: req.user._id, boardsDeleted: boardIds.length });
 
     res.json({
       success: true,
@@ -692,31 +700,28 @@ router.get('/:id/activity', [
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const Board = require('../models/Board');
-    const Card = require('../models/Card');
+    const Activity = require('../models/Activity');
 
-    // Get recent boards created by user
-    const recentBoards = await Board.find({ owner: req.params.id })
-      .select('title description createdAt')
-      .sort({ createdAt: -1 })
-      .limit(5);
+    const filter = { actor: req.params.id };
 
-    // Get recent cards created by user
-    const recentCards = await Card.find({ createdBy: req.params.id })
-      .populate('board', 'title')
-      .populate('list', 'title')
-      .select('title board list createdAt')
-      .sort({ createdAt: -1 })
-      .limit(10);
+    const [activities, total] = await Promise.all([
+      Activity.find(filter)
+        .populate('board', 'title')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Activity.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
       data: {
-        recentBoards,
-        recentCards,
+        activities: activities.map(activity => activity.getSummary()),
         pagination: {
           page,
-          limit
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
         }
       }
     });
@@ -729,4 +734,102 @@ router.get('/:id/activity', [
   }
 });
 
+// @desc    Get a user's active sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+router.get('/:id/sessions', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validate, protect, authorize('admin'), async (req, res) => {
+  try {
+    const Session = require('../models/Session');
+
+    const sessions = await Session.find({
+      user: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.getSummary(req.sessionId))
+      }
+    });
+  } catch (error) {
+    logger.error('Get user sessions failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get user sessions'
+    });
+  }
+});
+
+// @desc    Revoke all of a user's sessions
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+router.delete('/:id/sessions', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validate, protect, authorize('admin'), async (req, res) => {
+  try {
+    const Session = require('../models/Session');
+
+    const revoked = await Session.revokeAllForUser(req.params.id, 'revoked_by_admin');
+
+    logger.info('User sessions revoked by admin', { userId: req.params.id, revokedBy: req.user._id, revoked });
+
+    res.json({
+      success: true,
+      message: 'User sessions revoked successfully',
+      data: {
+        revoked
+      }
+    });
+  } catch (error) {
+    logger.error('Revoke user sessions failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke user sessions'
+    });
+  }
+});
+
+// @desc    Reset a user's two-factor authentication (lost device and recovery codes)
+// @route   DELETE /api/users/:id/2fa
+// @access  Private/Admin
+router.delete('/:id/2fa', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], validate, protect, authorize('admin'), async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastStep: 1
+      }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    logger.info('User two-factor authentication reset by admin', { userId: user._id, resetBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    logger.error('Reset user two-factor failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
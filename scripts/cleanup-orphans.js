@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { removeOrphans } = require('../utils/cascade');
+const { logger } = require('../utils/logger');
+require('dotenv').config();
+
+// Find and delete documents left behind by deletes that didn't cascade
+// (lists and cards of deleted boards, memberships of deleted users, ...).
+// Pass --dry-run to only report what would be removed.
+const cleanupOrphans = async ({ dryRun = false } = {}) => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    logger.info('Connected to MongoDB');
+
+    const counts = await removeOrphans({ dryRun });
+
+    logger.info(dryRun ? 'Orphans found (dry run, nothing removed):' : '✅ Orphans removed:');
+    Object.entries(counts).forEach(([kind, count]) => {
+      logger.info(`${kind}: ${count}`);
+    });
+
+  } catch (error) {
+    logger.error('Failed to clean up orphans:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    logger.info('Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+if (require.main === module) {
+  cleanupOrphans({ dryRun: process.argv.includes('--dry-run') });
+}
+
+module.exports = { cleanupOrphans };
@@ -47,8 +47,8 @@ console.log(`MONGODB_URI=your-mongodb-connection-string`);
 
 console.log('\nOptional Variables:');
 console.log('==================');
-console.log(`JWT_EXPIRES_IN=7d`);
-console.log(`JWT_COOKIE_EXPIRES_IN=7`);
+console.log(`JWT_EXPIRES_IN=15m`);
+console.log(`REFRESH_TOKEN_EXPIRES_DAYS=30`);
 console.log(`SESSION_COOKIE_HTTPONLY=true`);
 console.log(`SESSION_COOKIE_SECURE=true`);
 console.log(`CORS_ORIGIN=https://your-frontend-domain.com`);
@@ -57,6 +57,16 @@ console.log(`RATE_LIMIT_WINDOW_MS=900000`);
 console.log(`RATE_LIMIT_MAX_REQUESTS=100`);
 console.log(`BCRYPT_ROUNDS=12`);
 
+console.log('\nEmail Variables:');
+console.log('==================');
+console.log(`EMAIL_TRANSPORT=smtp`);
+console.log(`EMAIL_FROM=BoardHub <no-reply@your-domain.com>`);
+console.log(`APP_URL=https://your-frontend-domain.com`);
+console.log(`SMTP_HOST=smtp.your-provider.com`);
+console.log(`SMTP_PORT=587`);
+console.log(`SMTP_USER=your-smtp-username`);
+console.log(`SMTP_PASS=your-smtp-password`);
+
 console.log('\n📋 Deployment Steps:');
 console.log('==================');
 console.log('1. Push your code to GitHub/GitLab/Bitbucket');
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const { logger } = require('../utils/logger');
+require('dotenv').config();
+
+// Respace list and card ranks on every board. Also converts the numeric
+// `order` values written before rank strings were introduced.
+const rebalanceRanks = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    logger.info('Connected to MongoDB');
+
+    let listCount = 0;
+    let cardCount = 0;
+
+    const boards = await Board.find().select('_id').lean();
+
+    for (const board of boards) {
+      listCount += await List.rebalanceBoard(board._id);
+
+      const lists = await List.find({ board: board._id }).select('_id').lean();
+      for (const list of lists) {
+        cardCount += await Card.rebalanceList(list._id);
+      }
+    }
+
+    logger.info('✅ Ranks rebalanced successfully!');
+    logger.info(`Boards: ${boards.length}`);
+    logger.info(`Lists: ${listCount}`);
+    logger.info(`Cards: ${cardCount}`);
+
+  } catch (error) {
+    logger.error('Failed to rebalance ranks:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    logger.info('Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+if (require.main === module) {
+  rebalanceRanks();
+}
+
+module.exports = { rebalanceRanks };
@@ -14,14 +14,19 @@ const boardRoutes = require('./routes/boards');
 const listRoutes = require('./routes/lists');
 const cardRoutes = require('./routes/cards');
 const userRoutes = require('./routes/users');
+const notificationRoutes = require('./routes/notifications');
 const swaggerSpecs = require('./config/swagger');
 
 const { errorHandler } = require('./middleware/errorHandler');
 const { logger } = require('./utils/logger');
 const { connectDB } = require('./config/database');
+const { flushEmailQueue } = require('./utils/email');
+const { startDueDateReminders } = require('./utils/dueDateReminders');
+const { attachWebSocketServer } = require('./utils/websocket');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+let stopDueDateReminders = null;
 
 // Security middleware
 app.use(helmet({
@@ -53,7 +58,8 @@ app.use(cors({
   origin: true, // Allow all origins
   credentials: process.env.CORS_CREDENTIALS === 'true',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-CSRF-Token', 'If-Match'],
+  exposedHeaders: ['ETag'],
 }));
 
 // Body parsing middleware
@@ -111,6 +117,7 @@ app.use('/api/boards', boardRoutes);
 app.use('/api/lists', listRoutes);
 app.use('/api/cards', cardRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -131,12 +138,19 @@ const startServer = async () => {
     await connectDB();
     logger.info('Connected to MongoDB');
 
+    // Start background jobs
+    if (process.env.DUE_REMINDERS_ENABLED !== 'false') {
+      stopDueDateReminders = startDueDateReminders();
+    }
+
     // Try to start server with port conflict handling
     const server = app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
       logger.info(`Health check: http://localhost:${PORT}/health`);
       logger.info(`API base URL: http://localhost:${PORT}/api`);
       logger.info(`API Documentation: http://localhost:${PORT}/api-docs`);
+      // Only once the port is ours, so fallback servers don't stack listeners
+      attachWebSocketServer(server);
     });
 
     // Handle server errors
@@ -159,6 +173,7 @@ const startServer = async () => {
             logger.info(`Health check: http://localhost:${altPort}/health`);
             logger.info(`API base URL: http://localhost:${altPort}/api`);
             logger.info(`API Documentation: http://localhost:${altPort}/api-docs`);
+            attachWebSocketServer(altServer);
           });
           
           altServer.on('error', () => {
@@ -179,6 +194,15 @@ const startServer = async () => {
   }
 };
 
+// Deliver batched notification emails before shutting down
+process.on('SIGTERM', async () => {
+  logger.info('SIGTERM received, shutting down');
+  if (stopDueDateReminders) stopDueDateReminders();
+  await flushEmailQueue();
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   logger.error('Unhandled Promise Rejection:', err);
@@ -0,0 +1,84 @@
+const User = require('../../models/User');
+const totp = require('../../utils/totp');
+
+// Apply the conditional updates verifyTwoFactorCode makes to a copy of the
+// user's stored two-factor state, the way MongoDB would
+const stubStore = (user) => {
+  const stored = {
+    twoFactorLastStep: null,
+    twoFactorRecoveryCodes: [...user.twoFactorRecoveryCodes]
+  };
+
+  jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+    if (update.twoFactorLastStep !== undefined) {
+      if (stored.twoFactorLastStep !== null && stored.twoFactorLastStep >= update.twoFactorLastStep) {
+        return { modifiedCount: 0 };
+      }
+      stored.twoFactorLastStep = update.twoFactorLastStep;
+      return { modifiedCount: 1 };
+    }
+
+    const hash = update.$pull.twoFactorRecoveryCodes;
+    if (!stored.twoFactorRecoveryCodes.includes(hash)) {
+      return { modifiedCount: 0 };
+    }
+    stored.twoFactorRecoveryCodes = stored.twoFactorRecoveryCodes.filter(code => code !== hash);
+    return { modifiedCount: 1 };
+  });
+
+  return stored;
+};
+
+describe('User two-factor codes', () => {
+  let user;
+  let codes;
+
+  beforeEach(() => {
+    user = new User({ name: 'Jo', email: 'jo@example.com', password: 'secret123' });
+    user.twoFactorSecret = totp.generateSecret();
+    codes = user.generateRecoveryCodes();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('generates ten distinct recovery codes and stores only their hashes', () => {
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    codes.forEach(code => expect(user.twoFactorRecoveryCodes).not.toContain(code));
+  });
+
+  it('accepts a TOTP code once', async () => {
+    stubStore(user);
+    const code = totp.generateCode(user.twoFactorSecret);
+
+    await expect(user.verifyTwoFactorCode(code)).resolves.toBe('totp');
+    await expect(user.verifyTwoFactorCode(code)).resolves.toBeNull();
+  });
+
+  it('accepts each recovery code once, ignoring case and the dash', async () => {
+    const stored = stubStore(user);
+    const [code] = codes;
+
+    await expect(user.verifyTwoFactorCode(code.toUpperCase().replace('-', ''))).resolves.toBe('recovery');
+    expect(stored.twoFactorRecoveryCodes).toHaveLength(9);
+    await expect(user.verifyTwoFactorCode(code)).resolves.toBeNull();
+  });
+
+  it('rejects unknown codes', async () => {
+    stubStore(user);
+
+    await expect(user.verifyTwoFactorCode('00000-00000')).resolves.toBeNull();
+    await expect(user.verifyTwoFactorCode('')).resolves.toBeNull();
+  });
+
+  it('stops accepting old recovery codes once they are regenerated', async () => {
+    const [oldCode] = codes;
+    user.generateRecoveryCodes();
+    stubStore(user);
+
+    await expect(user.verifyTwoFactorCode(oldCode)).resolves.toBeNull();
+  });
+});
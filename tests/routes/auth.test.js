@@ -0,0 +1,168 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const Session = require('../../models/Session');
+const authRoutes = require('../../routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', authRoutes);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) =>
+  key === '_id' ? doc._id.equals(value) : doc[key] === value
+);
+
+// Keep refresh tokens, the session and the user in memory, applying the
+// conditional updates the refresh route relies on the way MongoDB would
+const stubStore = () => {
+  const user = new User({ name: 'Jo', email: 'jo@example.com', password: 'secret123', emailVerified: true });
+  const session = new Session({ user: user._id, expiresAt: RefreshToken.getExpiresAt() });
+  const tokens = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(async id => (user._id.equals(id) ? user : null));
+  jest.spyOn(Session, 'findById').mockImplementation(async id => (session._id.equals(id) ? session : null));
+  jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+    session.set(update);
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(Session, 'revokeSession').mockImplementation(async (id, reason) => {
+    session.set({ revokedAt: new Date(), revokedReason: reason });
+    return 1;
+  });
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (data) => {
+    const token = new RefreshToken(data);
+    tokens.push(token);
+    return token;
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockImplementation(async filter =>
+    tokens.find(token => matches(token, filter)) || null
+  );
+  jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const token = tokens.find(candidate => matches(candidate, filter));
+    if (!token) return null;
+    const before = token.toObject();
+    token.set(update);
+    return before;
+  });
+  jest.spyOn(RefreshToken, 'updateOne').mockImplementation(async (filter, update) => {
+    tokens.filter(token => matches(token, filter)).forEach(token => token.set(update));
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = tokens.filter(token => matches(token, filter));
+    matched.forEach(token => token.set(update));
+    return { modifiedCount: matched.length };
+  });
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+
+  return { user, session, tokens };
+};
+
+// Log in by issuing the first refresh token of the session directly
+const login = async ({ user, session }) => {
+  const { token } = await RefreshToken.issue(user._id, { family: session._id.toString() });
+  return token;
+};
+
+const refresh = refreshToken => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+describe('POST /api/auth/refresh', () => {
+  let store;
+
+  beforeEach(() => {
+    store = stubStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+  });
+
+  it('rotates the refresh token and returns a new access token', async () => {
+    const first = await login(store);
+
+    const res = await refresh(first);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).not.toBe(first);
+
+    const [used, issued] = store.tokens;
+    expect(used.revokedReason).toBe('rotated');
+    expect(used.replacedBy.equals(issued._id)).toBe(true);
+    expect(issued.family).toBe(store.session._id.toString());
+    expect(issued.revokedAt).toBeNull();
+  });
+
+  it('accepts the refresh token from its cookie', async () => {
+    const first = await login(store);
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .set('Cookie', `refreshToken=${first}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['set-cookie'].some(cookie => cookie.startsWith('refreshToken='))).toBe(true);
+  });
+
+  it('revokes the whole session when a rotated token is reused', async () => {
+    const first = await login(store);
+    const { body } = await refresh(first);
+
+    const reuse = await refresh(first);
+
+    expect(reuse.status).toBe(401);
+    expect(reuse.body.message).toBe('Refresh token has been revoked');
+    expect(store.session.revokedReason).toBe('reuse_detected');
+    expect(store.tokens.every(token => token.revokedAt)).toBe(true);
+
+    // The legitimate holder's newer token stops working too
+    const next = await refresh(body.data.refreshToken);
+    expect(next.status).toBe(401);
+  });
+
+  it('lets only one of two concurrent refreshes rotate the same token', async () => {
+    const first = await login(store);
+
+    const responses = await Promise.all([refresh(first), refresh(first)]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+    expect(store.session.revokedReason).toBe('reuse_detected');
+  });
+
+  it('rejects tokens of a revoked session', async () => {
+    const first = await login(store);
+    store.session.set({ revokedAt: new Date(), revokedReason: 'revoked' });
+
+    const res = await refresh(first);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Session has been revoked');
+    expect(store.tokens[0].revokedReason).toBe('session_revoked');
+  });
+
+  it('rejects unknown and missing tokens', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+    expect((await request(app).post('/api/auth/refresh').send({})).status).toBe(401);
+  });
+
+  it('refuses unverified users while verification is required', async () => {
+    const first = await login(store);
+    store.user.emailVerified = false;
+    process.env.EMAIL_VERIFICATION_POLICY = 'require';
+
+    const res = await refresh(first);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    expect(store.tokens).toHaveLength(1);
+    expect(store.tokens[0].revokedAt).toBeNull();
+  });
+});
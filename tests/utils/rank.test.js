@@ -0,0 +1,121 @@
+const {
+  MAX_RANK_LENGTH,
+  isValidRank,
+  rankBetween,
+  generateRanks,
+  rankAtPosition
+} = require('../../utils/rank');
+
+// Minimal stand-in for a mongoose model: find() returns a chainable query
+// resolving to the given documents in the order the caller sorts them
+const fakeModel = (orders) => ({
+  find: () => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      session: () => query,
+      lean: async () => [...orders].sort().map(order => ({ order }))
+    };
+    return query;
+  }
+});
+
+describe('rankBetween', () => {
+  it('returns a valid rank when the sequence is empty', () => {
+    expect(isValidRank(rankBetween())).toBe(true);
+  });
+
+  it('returns a rank after prev and before next', () => {
+    expect(rankBetween('a', null) > 'a').toBe(true);
+    expect(rankBetween(null, 'a') < 'a').toBe(true);
+
+    const rank = rankBetween('a', 'b');
+    expect(rank > 'a' && rank < 'b').toBe(true);
+    expect(isValidRank(rank)).toBe(true);
+  });
+
+  it('finds room between adjacent ranks', () => {
+    const rank = rankBetween('a', 'a1');
+    expect(rank > 'a' && rank < 'a1').toBe(true);
+    expect(isValidRank(rank)).toBe(true);
+  });
+
+  it('appends a hundred ranks before a rebalance is due', () => {
+    const ranks = [rankBetween()];
+    for (let i = 0; i < 100; i++) {
+      ranks.push(rankBetween(ranks[ranks.length - 1], null));
+    }
+
+    expect([...ranks].sort()).toEqual(ranks);
+    expect(ranks[ranks.length - 1].length).toBeLessThan(MAX_RANK_LENGTH);
+  });
+
+  it('keeps every rank ordered and valid under repeated inserts at one spot', () => {
+    const ranks = [rankBetween()];
+    for (let i = 0; i < 200; i++) {
+      // Always insert just after the first rank, the worst case for length
+      const rank = rankBetween(ranks[0], ranks[1] || null);
+      ranks.splice(1, 0, rank);
+    }
+
+    expect(ranks.every(isValidRank)).toBe(true);
+    expect([...ranks].sort()).toEqual(ranks);
+    expect(new Set(ranks).size).toBe(ranks.length);
+  });
+
+  it('never generates a rank ending in 0', () => {
+    expect(rankBetween(null, '1').endsWith('0')).toBe(false);
+    expect(rankBetween(null, '01').endsWith('0')).toBe(false);
+  });
+
+  it('rejects invalid or out of order neighbours', () => {
+    expect(() => rankBetween('a0', null)).toThrow('Invalid rank');
+    expect(() => rankBetween(null, 'A')).toThrow('Invalid rank');
+    expect(() => rankBetween('b', 'a')).toThrow('Ranks are out of order');
+    expect(() => rankBetween('a', 'a')).toThrow('Ranks are out of order');
+  });
+});
+
+describe('generateRanks', () => {
+  it('returns evenly spaced, increasing, valid ranks of equal length', () => {
+    const ranks = generateRanks(50);
+
+    expect(ranks).toHaveLength(50);
+    expect(ranks.every(isValidRank)).toBe(true);
+    expect([...ranks].sort()).toEqual(ranks);
+    expect(new Set(ranks).size).toBe(50);
+  });
+
+  it('leaves room before the first and after the last rank', () => {
+    const ranks = generateRanks(10);
+
+    expect(isValidRank(rankBetween(null, ranks[0]))).toBe(true);
+    expect(isValidRank(rankBetween(ranks[ranks.length - 1], null))).toBe(true);
+  });
+
+  it('returns no ranks for no documents', () => {
+    expect(generateRanks(0)).toEqual([]);
+  });
+});
+
+describe('rankAtPosition', () => {
+  it('ranks between the neighbours at a position', async () => {
+    const rank = await rankAtPosition(fakeModel(['a', 'c']), {}, 1);
+    expect(rank > 'a' && rank < 'c').toBe(true);
+  });
+
+  it('clamps the position to the ends of the sequence', async () => {
+    expect(await rankAtPosition(fakeModel(['m']), {}, -5) < 'm').toBe(true);
+    expect(await rankAtPosition(fakeModel(['m']), {}, Infinity) > 'm').toBe(true);
+  });
+
+  it('returns null when the neighbours are legacy or duplicate orders', async () => {
+    expect(await rankAtPosition(fakeModel(['a', 'a']), {}, 1)).toBeNull();
+    expect(await rankAtPosition(fakeModel(['a0']), {}, 1)).toBeNull();
+  });
+
+  it('returns null when the rank would be too long', async () => {
+    const prev = 'a'.repeat(MAX_RANK_LENGTH);
+    expect(await rankAtPosition(fakeModel([prev, `${prev}1`]), {}, 1)).toBeNull();
+  });
+});
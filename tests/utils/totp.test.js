@@ -0,0 +1,79 @@
+const { generateSecret, generateCode, verifyCode, buildOtpauthUri } = require('../../utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890") in base32. The RFC
+// lists 8-digit codes; ours are their last 6 digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 SHA-1 vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+  });
+});
+
+describe('verifyCode', () => {
+  const time = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+
+  it('returns the step of a current code', () => {
+    expect(verifyCode(RFC_SECRET, '050471', { time })).toBe(step);
+  });
+
+  it('accepts codes one step either side for clock drift', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time, window: 0 })).toBeNull();
+  });
+
+  it('ignores whitespace in the code', () => {
+    expect(verifyCode(RFC_SECRET, ' 050 471 ', { time })).toBe(step);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, null, { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '05047', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '0504711', { time })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns a 160-bit base32 secret that codes can be generated from', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateCode(secret)).toMatch(/^\d{6}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('encodes the label and parameters authenticator apps expect', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'jo@example.com', issuer: 'BoardHub' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/BoardHub:jo@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'BoardHub',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
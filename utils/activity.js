@@ -0,0 +1,69 @@
+const Activity = require('../models/Activity');
+const Board = require('../models/Board');
+const { logger } = require('./logger');
+
+// Normalize a value for comparison and storage (ObjectIds, Dates, subdocuments)
+const normalize = (value) => {
+  if (value === undefined) return null;
+
+  const plain = JSON.parse(JSON.stringify(value));
+
+  // Subdocument ids (e.g. on labels) are regenerated on every write, so ignore them
+  if (Array.isArray(plain)) {
+    return plain.map((item) => {
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        const { _id, id, ...rest } = item;
+        return rest;
+      }
+      return item;
+    });
+  }
+
+  return plain;
+};
+
+// Build before/after objects containing only the fields that actually change
+const diffFields = (doc, updates) => {
+  const before = {};
+  const after = {};
+
+  Object.keys(updates).forEach((field) => {
+    // Mongoose documents resolve dotted paths such as "settings.allowComments"
+    const current = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+    const previous = normalize(current);
+    const next = normalize(updates[field]);
+
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      before[field] = previous;
+      after[field] = next;
+    }
+  });
+
+  return { before, after, changed: Object.keys(after) };
+};
+
+// Record an activity entry; failures are logged and never break the request
+const recordActivity = async ({ board, actor, verb, targetType, target, targetTitle, before, after, metadata }) => {
+  try {
+    const activity = await Activity.create({
+      board,
+      actor,
+      verb,
+      targetType,
+      target,
+      targetTitle,
+      before: before && Object.keys(before).length > 0 ? before : null,
+      after: after && Object.keys(after).length > 0 ? after : null,
+      metadata
+    });
+
+    await Board.updateOne({ _id: board }, { lastActivity: activity.createdAt });
+
+    return activity;
+  } catch (error) {
+    logger.error('Failed to record activity:', { verb, targetType, target, message: error.message });
+    return null;
+  }
+};
+
+module.exports = { recordActivity, diffFields };
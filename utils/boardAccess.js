@@ -0,0 +1,31 @@
+const Board = require('../models/Board');
+const BoardMember = require('../models/BoardMember');
+
+// Resolve a user's access to a board: owner, active member, or viewer of a
+// public board. Returns null when the user has no access.
+const getBoardAccess = async (boardId, userId) => {
+  const board = await Board.findById(boardId);
+  if (!board) return null;
+
+  if (board.owner.toString() === userId.toString()) {
+    return { board, role: 'owner', membership: null };
+  }
+
+  const membership = await BoardMember.findOne({
+    board: board._id,
+    user: userId,
+    isActive: true
+  });
+
+  if (membership) {
+    return { board, role: membership.role, membership };
+  }
+
+  if (board.isPublic) {
+    return { board, role: 'viewer', membership: null };
+  }
+
+  return null;
+};
+
+module.exports = { getBoardAccess };
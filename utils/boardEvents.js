@@ -0,0 +1,79 @@
+const { EventEmitter } = require('events');
+
+// In-process hub for board change events. Routes publish here and the
+// real-time transports (WebSocket, Server-Sent Events) fan the events out.
+const boardEvents = new EventEmitter();
+boardEvents.setMaxListeners(0);
+
+// Events after which subscribers may have lost access to the board
+const ACCESS_EVENTS = ['board.updated', 'member.updated', 'member.removed'];
+
+// Recent events per board, kept so reconnecting SSE clients can catch up.
+// Ids are "<process epoch>-<sequence>" so ids from before a restart are
+// recognised as unreplayable rather than matched against new events.
+const BUFFER_SIZE = parseInt(process.env.BOARD_EVENT_BUFFER_SIZE) || 100;
+const epoch = Date.now().toString(36);
+let sequence = 0;
+
+// boardId -> { events: [{ seq, event }], droppedUpTo }
+const buffers = new Map();
+
+const bufferEvent = (seq, event) => {
+  let buffer = buffers.get(event.board);
+  if (!buffer) {
+    buffer = { events: [], droppedUpTo: 0 };
+    buffers.set(event.board, buffer);
+  }
+
+  buffer.events.push({ seq, event });
+  if (buffer.events.length > BUFFER_SIZE) {
+    buffer.droppedUpTo = buffer.events.shift().seq;
+  }
+};
+
+// Publish a change on a board, e.g. publishBoardEvent(boardId, 'card.moved', { card }).
+// Ephemeral events (such as presence) are delivered live but never replayed.
+const publishBoardEvent = (boardId, type, payload = {}, actorId = null, { ephemeral = false } = {}) => {
+  sequence += 1;
+
+  const event = {
+    id: `${epoch}-${sequence}`,
+    board: boardId.toString(),
+    type,
+    payload,
+    actor: actorId ? actorId.toString() : null,
+    timestamp: new Date().toISOString()
+  };
+
+  if (!ephemeral) {
+    bufferEvent(sequence, event);
+  }
+  boardEvents.emit('event', event);
+
+  if (type === 'board.deleted') {
+    buffers.delete(event.board);
+  }
+
+  return event;
+};
+
+// Events on a board published after lastEventId, or null when they can't be
+// replayed (unknown id, previous process, or already evicted from the buffer)
+const getEventsSince = (boardId, lastEventId) => {
+  const [idEpoch, idSeq] = String(lastEventId).split('-');
+  const lastSeq = parseInt(idSeq);
+
+  if (idEpoch !== epoch || Number.isNaN(lastSeq) || lastSeq > sequence) {
+    return null;
+  }
+
+  const buffer = buffers.get(boardId.toString());
+  if (!buffer) return [];
+  if (lastSeq < buffer.droppedUpTo) return null;
+
+  return buffer.events
+    .filter(entry => entry.seq > lastSeq)
+    .map(entry => entry.event);
+};
+
+module.exports = { boardEvents, publishBoardEvent, getEventsSince, ACCESS_EVENTS };
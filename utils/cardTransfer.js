@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const Board = require('../models/Board');
+const BoardMember = require('../models/BoardMember');
+const Card = require('../models/Card');
+const { storage } = require('./storage');
+
+// How labels are carried over to another board: matched by name against the
+// labels already used there (taking that board's colour), kept as they are,
+// or dropped altogether
+const LABEL_MODES = ['remap', 'keep', 'drop'];
+
+// Ids of the users who can be assigned cards on a board: its owner and active members
+const getBoardMemberIds = async (boardId, session = null) => {
+  const board = await Board.findById(boardId).select('owner').session(session);
+  const members = await BoardMember.find({ board: boardId, isActive: true })
+    .select('user')
+    .session(session)
+    .lean();
+
+  const ids = new Set(members.map(member => member.user.toString()));
+  if (board) ids.add(board.owner.toString());
+  return ids;
+};
+
+// Labels in use on a board's cards, keyed by lower-cased name
+const getBoardLabels = async (boardId, session = null) => {
+  const labels = await Card.aggregate([
+    { $match: { board: new mongoose.Types.ObjectId(boardId.toString()) } },
+    { $unwind: '$labels' },
+    {
+      $group: {
+        _id: { $toLower: '$labels.name' },
+        name: { $first: '$labels.name' },
+        color: { $first: '$labels.color' }
+      }
+    }
+  ]).session(session);
+
+  return new Map(labels.map(label => [label._id, { name: label.name, color: label.color }]));
+};
+
+// What remapping cards onto a board needs to know about it, loaded once so
+// many cards can be remapped without further queries
+const getRemapContext = async (boardId, { labelMode = 'remap', session = null } = {}) => ({
+  labelMode,
+  memberIds: await getBoardMemberIds(boardId, session),
+  boardLabels: labelMode === 'remap' ? await getBoardLabels(boardId, session) : new Map()
+});
+
+// Labels, assignees and subscribers of a card as they should be on the board
+// described by context, along with what had to be dropped so the caller can
+// report it
+const remapCard = (card, { labelMode, memberIds, boardLabels }) => {
+  const dropped = { labels: [], assignees: [] };
+
+  let labels = [];
+  if (labelMode === 'keep') {
+    labels = card.labels.map(({ name, color }) => ({ name, color }));
+  } else if (labelMode === 'remap') {
+    card.labels.forEach((label) => {
+      const match = boardLabels.get(label.name.toLowerCase());
+      if (match) {
+        labels.push(match);
+      } else {
+        dropped.labels.push(label.name);
+      }
+    });
+  } else {
+    dropped.labels = card.labels.map(label => label.name);
+  }
+
+  const assignees = [];
+  card.assignees.forEach((assignee) => {
+    const id = (assignee._id || assignee).toString();
+    if (memberIds.has(id)) {
+      assignees.push(id);
+    } else {
+      dropped.assignees.push(id);
+    }
+  });
+
+  const subscribers = (card.subscribers || [])
+    .map(subscriber => subscriber.toString())
+    .filter(id => memberIds.has(id));
+
+  return { labels, assignees, subscribers, dropped };
+};
+
+// Remap a single card onto another board
+const remapCardForBoard = async (card, boardId, options = {}) =>
+  remapCard(card, await getRemapContext(boardId, options));
+
+// Fields for a copy of a card. remapped comes from remapCard for the target
+// board; fields supplies the rest (_id, list, board, order, createdBy, ...).
+const buildCardCopy = (source, {
+  remapped,
+  keepChecklists = true,
+  keepComments = false,
+  attachments = [],
+  ...fields
+}) => ({
+  title: source.title,
+  description: source.description,
+  color: source.color,
+  priority: source.priority,
+  dueDate: source.dueDate,
+  isCompleted: source.isCompleted,
+  labels: remapped.labels,
+  assignees: remapped.assignees,
+  checklists: keepChecklists ? source.checklists.map(checklist => checklist.toObject()) : [],
+  comments: keepComments ? source.comments.map(comment => comment.toObject()) : [],
+  attachments,
+  ...fields
+});
+
+// Duplicate a card's attachment files in storage. Resolves to the new
+// attachment entries; files already copied are removed if one fails.
+const copyAttachments = async (attachments, cardId) => {
+  const copies = [];
+
+  try {
+    for (const attachment of attachments) {
+      const stream = await storage.getStream(attachment.filename);
+      if (!stream) continue;
+
+      const filename = `${crypto.randomBytes(16).toString('hex')}${path.extname(attachment.filename)}`;
+      copies.push({
+        _id: attachment._id,
+        filename,
+        originalName: attachment.originalName,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        url: `/api/cards/${cardId}/attachments/${attachment._id}`,
+        uploadedBy: attachment.uploadedBy,
+        uploadedAt: attachment.uploadedAt
+      });
+
+      await storage.save(filename, stream, { contentType: attachment.mimeType });
+    }
+  } catch (error) {
+    await removeAttachmentFiles(copies);
+    throw error;
+  }
+
+  return copies;
+};
+
+const removeAttachmentFiles = attachments =>
+  Promise.all(attachments.map(attachment => storage.remove(attachment.filename).catch(() => {})));
+
+module.exports = {
+  LABEL_MODES,
+  getBoardMemberIds,
+  getBoardLabels,
+  getRemapContext,
+  remapCard,
+  remapCardForBoard,
+  buildCardCopy,
+  copyAttachments,
+  removeAttachmentFiles
+};
@@ -0,0 +1,175 @@
+const Board = require('../models/Board');
+const BoardMember = require('../models/BoardMember');
+const List = require('../models/List');
+const Card = require('../models/Card');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const Reminder = require('../models/Reminder');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { storage } = require('./storage');
+const { logger } = require('./logger');
+
+// Cascading deletes. Each helper takes an optional session so callers can run
+// it inside withTransaction, and resolves to the storage keys of attachments
+// that went with the deleted cards. Storage isn't transactional, so callers
+// pass those keys to removeFiles() once the transaction has committed.
+
+const deleteCards = async (filter, session = null) => {
+  const cards = await Card.find(filter)
+    .select('_id attachments.filename')
+    .session(session)
+    .lean();
+
+  if (cards.length === 0) return [];
+
+  const cardIds = cards.map(card => card._id);
+
+  await Reminder.deleteMany({ card: { $in: cardIds } }, { session });
+  await Notification.deleteMany({ card: { $in: cardIds } }, { session });
+  await Card.deleteMany({ _id: { $in: cardIds } }, { session });
+
+  return cards.flatMap(card => (card.attachments || []).map(attachment => attachment.filename));
+};
+
+const deleteCardCascade = (cardId, session = null) => deleteCards({ _id: cardId }, session);
+
+const deleteListCascade = async (listId, session = null) => {
+  const files = await deleteCards({ list: listId }, session);
+  await List.deleteOne({ _id: listId }, { session });
+  return files;
+};
+
+// Removes the board with its lists, cards, memberships, activity and
+// notifications.
+const deleteBoardCascade = async (boardId, session = null) => {
+  const files = await deleteCards({ board: boardId }, session);
+
+  await List.deleteMany({ board: boardId }, { session });
+  await BoardMember.deleteMany({ board: boardId }, { session });
+  await Activity.deleteMany({ board: boardId }, { session });
+  await Notification.deleteMany({ board: boardId }, { session });
+  await Board.deleteOne({ _id: boardId }, { session });
+
+  return files;
+};
+
+// Removes the user, the boards they own (with everything on them) and their
+// memberships, and takes them off other boards' cards. Comments and activity
+// they authored elsewhere are kept as history. Resolves to { files, boardIds }.
+const deleteUserCascade = async (userId, session = null) => {
+  const boards = await Board.find({ owner: userId }).select('_id').session(session).lean();
+  const boardIds = boards.map(board => board._id);
+
+  const files = [];
+  for (const boardId of boardIds) {
+    files.push(...await deleteBoardCascade(boardId, session));
+  }
+
+  await BoardMember.deleteMany({ user: userId }, { session });
+  await Card.updateMany(
+    { $or: [{ assignees: userId }, { subscribers: userId }, { 'votes.user': userId }] },
+    { $pull: { assignees: userId, subscribers: userId, votes: { user: userId } } },
+    { session }
+  );
+  await Notification.deleteMany({ recipient: userId }, { session });
+  await Reminder.deleteMany({ user: userId }, { session });
+  await RefreshToken.deleteMany({ user: userId }, { session });
+  await Session.deleteMany({ user: userId }, { session });
+  await User.deleteOne({ _id: userId }, { session });
+
+  return { files, boardIds };
+};
+
+// Remove attachment files left behind by a cascade; failures are only logged
+const removeFiles = async (files) => {
+  await Promise.all(files.map(file =>
+    storage.remove(file).catch(error => logger.warn('Failed to remove attachment file', { file, error: error.message }))
+  ));
+};
+
+// Ids of documents whose reference in localField points at a missing document
+// of Parent. Documents with the field unset are not orphans.
+const findMissingRefs = async (Model, localField, Parent) => {
+  const docs = await Model.aggregate([
+    { $match: { [localField]: { $ne: null } } },
+    {
+      $lookup: {
+        from: Parent.collection.name,
+        localField,
+        foreignField: '_id',
+        as: '_parent'
+      }
+    },
+    { $match: { _parent: { $size: 0 } } },
+    { $project: { _id: 1 } }
+  ]);
+
+  return docs.map(doc => doc._id);
+};
+
+const unique = ids => [...new Map(ids.map(id => [id.toString(), id])).values()];
+
+// Find documents left behind by deletes that didn't cascade
+const findOrphans = async () => {
+  const orphans = {};
+
+  orphans.lists = await findMissingRefs(List, 'board', Board);
+  orphans.cards = unique([
+    ...await findMissingRefs(Card, 'board', Board),
+    ...await findMissingRefs(Card, 'list', List)
+  ]);
+  orphans.boardMembers = unique([
+    ...await findMissingRefs(BoardMember, 'board', Board),
+    ...await findMissingRefs(BoardMember, 'user', User)
+  ]);
+
+  orphans.activities = await findMissingRefs(Activity, 'board', Board);
+
+  orphans.notifications = unique([
+    ...await findMissingRefs(Notification, 'recipient', User),
+    ...await findMissingRefs(Notification, 'board', Board),
+    ...await findMissingRefs(Notification, 'card', Card)
+  ]);
+  orphans.reminders = unique([
+    ...await findMissingRefs(Reminder, 'card', Card),
+    ...await findMissingRefs(Reminder, 'user', User)
+  ]);
+  orphans.refreshTokens = await findMissingRefs(RefreshToken, 'user', User);
+  orphans.sessions = await findMissingRefs(Session, 'user', User);
+
+  return orphans;
+};
+
+// Find and, unless dryRun, delete orphaned documents and their attachment
+// files. Resolves to the number of orphans of each kind.
+const removeOrphans = async ({ dryRun = false } = {}) => {
+  const orphans = await findOrphans();
+  const counts = Object.fromEntries(Object.entries(orphans).map(([kind, ids]) => [kind, ids.length]));
+
+  if (dryRun) return counts;
+
+  // Cards on orphaned lists are orphans too once the lists are gone
+  const files = await deleteCards({ $or: [{ _id: { $in: orphans.cards } }, { list: { $in: orphans.lists } }] });
+  await List.deleteMany({ _id: { $in: orphans.lists } });
+  await BoardMember.deleteMany({ _id: { $in: orphans.boardMembers } });
+  await Activity.deleteMany({ _id: { $in: orphans.activities } });
+  await Notification.deleteMany({ _id: { $in: orphans.notifications } });
+  await Reminder.deleteMany({ _id: { $in: orphans.reminders } });
+  await RefreshToken.deleteMany({ _id: { $in: orphans.refreshTokens } });
+  await Session.deleteMany({ _id: { $in: orphans.sessions } });
+  await removeFiles(files);
+
+  return counts;
+};
+
+module.exports = {
+  deleteCardCascade,
+  deleteListCascade,
+  deleteBoardCascade,
+  deleteUserCascade,
+  removeFiles,
+  findOrphans,
+  removeOrphans
+};
@@ -0,0 +1,91 @@
+// Optimistic concurrency helpers. A document's version is its `revision`
+// counter, which revisionPlugin increments on every save and update, exposed
+// to clients as both an ETag and a `version` field.
+
+// Add `$inc: { revision: 1 }` to an update unless it already touches revision
+const withRevisionBump = (update) => {
+  if (!update || Array.isArray(update) || (update.$inc && update.$inc.revision !== undefined)) {
+    return update;
+  }
+  return { ...update, $inc: { ...update.$inc, revision: 1 } };
+};
+
+// Schema plugin adding the revision counter. Writes that opt out of timestamps
+// (e.g. touching a list to lock it) are not edits, so they don't bump it either.
+const revisionPlugin = (schema) => {
+  schema.add({
+    revision: {
+      type: Number,
+      default: 0
+    }
+  });
+
+  schema.pre('save', function(next, options = {}) {
+    if (!this.isNew && this.isModified() && options.timestamps !== false) {
+      this.$inc('revision', 1);
+    }
+    next();
+  });
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+    if (this.mongooseOptions().timestamps !== false) {
+      this.setUpdate(withRevisionBump(this.getUpdate()));
+    }
+    next();
+  });
+
+  schema.pre('bulkWrite', function(next, ops, options = {}) {
+    ops.forEach((op) => {
+      const write = op.updateOne || op.updateMany;
+      if (write && write.timestamps !== false && options.timestamps !== false) {
+        write.update = withRevisionBump(write.update);
+      }
+    });
+    next();
+  });
+};
+
+const getVersion = doc => (doc ? doc.revision || 0 : null);
+
+// Query condition matching documents still at the given version. Documents
+// saved before revisions existed have no field yet, which counts as 0.
+const versionFilter = version => ({
+  revision: version === 0 ? { $in: [0, null] } : version
+});
+
+const setETag = (res, doc) => {
+  const version = getVersion(doc);
+  if (version !== null) {
+    res.set('ETag', `"${version}"`);
+  }
+};
+
+// Version the client based its edit on, from If-Match or the body's `version`.
+// Returns undefined when the client sent none (or If-Match: *), and NaN when
+// the value is not a version we issued.
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch !== undefined) {
+    const value = ifMatch.trim();
+    if (value === '*') return undefined;
+    return Number(value.replace(/^W\//, '').replace(/"/g, ''));
+  }
+
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    return Number(req.body.version);
+  }
+
+  return undefined;
+};
+
+const isValidVersion = version => Number.isInteger(version) && version >= 0;
+
+module.exports = {
+  revisionPlugin,
+  getVersion,
+  versionFilter,
+  setETag,
+  getExpectedVersion,
+  isValidVersion
+};
@@ -0,0 +1,126 @@
+const Card = require('../models/Card');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const { notify } = require('./notifications');
+const { logger } = require('./logger');
+
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_LEAD_HOURS = [24];
+const MAX_LEAD_HOURS = 168; // 7 days
+
+// Work out which reminder (if any) is due for one assignee right now.
+// Only the closest lead time that has passed is returned; larger ones are
+// skipped for good, so a card created an hour before its deadline doesn't
+// produce a burst of "due in 24h" and "due in 1h" reminders at once.
+const getReminderKind = (dueDate, leadHours, now) => {
+  const msLeft = dueDate.getTime() - now.getTime();
+  if (msLeft <= 0) return { kind: 'overdue', overdue: true };
+
+  const passed = leadHours
+    .filter(hours => msLeft <= hours * HOUR)
+    .sort((a, b) => a - b);
+
+  if (passed.length === 0) return null;
+  return { kind: `due_in_${passed[0]}h`, overdue: false, leadHours: passed[0] };
+};
+
+// Record the reminder first; a duplicate key means it was already sent
+const claimReminder = async (card, userId, kind) => {
+  try {
+    await Reminder.create({ card: card._id, user: userId, kind, dueDate: card.dueDate });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Find cards approaching or past their due date and remind assignees
+const runDueDateReminders = async (now = new Date()) => {
+  const overdueWindowHours = parseInt(process.env.DUE_REMINDER_OVERDUE_WINDOW_HOURS) || 24;
+
+  const cards = await Card.find({
+    isCompleted: false,
+    isArchived: false,
+    'assignees.0': { $exists: true },
+    dueDate: {
+      $gte: new Date(now.getTime() - overdueWindowHours * HOUR),
+      $lte: new Date(now.getTime() + MAX_LEAD_HOURS * HOUR)
+    }
+  }).select('title board dueDate assignees');
+
+  if (cards.length === 0) return 0;
+
+  const userIds = [...new Set(cards.flatMap(card => card.assignees.map(id => id.toString())))];
+  const users = await User.find({ _id: { $in: userIds }, isActive: true }).select('preferences');
+  const leadHoursByUser = new Map(users.map(user => [
+    user._id.toString(),
+    user.preferences?.notifications?.dueReminderHours?.length
+      ? user.preferences.notifications.dueReminderHours
+      : DEFAULT_LEAD_HOURS
+  ]));
+
+  let sent = 0;
+  for (const card of cards) {
+    for (const assignee of card.assignees) {
+      const leadHours = leadHoursByUser.get(assignee.toString());
+      if (!leadHours) continue;
+
+      const reminder = getReminderKind(card.dueDate, leadHours, now);
+      if (!reminder) continue;
+
+      const claimed = await claimReminder(card, assignee, reminder.kind);
+      if (!claimed) continue;
+
+      await notify({
+        recipients: [assignee],
+        actor: null,
+        type: 'due_soon',
+        message: reminder.overdue
+          ? `"${card.title}" is overdue`
+          : `"${card.title}" is due within ${reminder.leadHours} hour${reminder.leadHours === 1 ? '' : 's'}`,
+        board: card.board,
+        card: card._id,
+        data: {
+          dueDate: card.dueDate,
+          overdue: reminder.overdue,
+          leadHours: reminder.leadHours || null
+        }
+      });
+      sent += 1;
+    }
+  }
+
+  if (sent > 0) {
+    logger.info('Due date reminders sent', { count: sent });
+  }
+  return sent;
+};
+
+// Start the in-process scheduler; returns a function that stops it
+const startDueDateReminders = ({ intervalMs = parseInt(process.env.DUE_REMINDER_INTERVAL_MS) || 5 * 60 * 1000 } = {}) => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+    try {
+      await runDueDateReminders();
+    } catch (error) {
+      logger.error('Due date reminder run failed:', { message: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+
+  logger.info('Due date reminder scheduler started', { intervalMs });
+
+  return () => clearInterval(timer);
+};
+
+module.exports = { startDueDateReminders, runDueDateReminders, getReminderKind, MAX_LEAD_HOURS };
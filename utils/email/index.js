@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { logger } = require('../logger');
+const { digest } = require('./templates');
+
+// Build the transport selected by EMAIL_TRANSPORT (smtp, console or file)
+const createTransport = (type = process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')) => {
+  switch (type) {
+    case 'smtp': {
+      const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+      return {
+        name: 'smtp',
+        send: message => transporter.sendMail(message)
+      };
+    }
+    case 'console': {
+      const transporter = nodemailer.createTransport({ jsonTransport: true });
+      return {
+        name: 'console',
+        send: async (message) => {
+          const info = await transporter.sendMail(message);
+          logger.info('Email (console transport)', { to: message.to, subject: message.subject });
+          logger.debug(message.text);
+          return info;
+        }
+      };
+    }
+    case 'file': {
+      const outputDir = path.resolve(process.env.EMAIL_OUTPUT_DIR || 'tmp/emails');
+      const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+      return {
+        name: 'file',
+        send: async (message) => {
+          const info = await transporter.sendMail(message);
+          await fs.promises.mkdir(outputDir, { recursive: true });
+          const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+          await fs.promises.writeFile(path.join(outputDir, filename), info.message);
+          logger.info('Email written to file', { to: message.to, subject: message.subject, filename });
+          return info;
+        }
+      };
+    }
+    default:
+      throw new Error(`Unknown email transport: ${type}`);
+  }
+};
+
+// Collects messages per recipient for a short window, then sends one email
+// (or a digest when several arrived) so bulk updates don't flood inboxes.
+class EmailQueue {
+  constructor({ send, windowMs }) {
+    this.send = send;
+    this.windowMs = windowMs;
+    this.pending = new Map();
+  }
+
+  enqueue(recipient, message) {
+    if (this.windowMs <= 0) {
+      return this.deliver(recipient, [message]);
+    }
+
+    const key = recipient.email;
+    let entry = this.pending.get(key);
+    if (!entry) {
+      entry = { recipient, messages: [] };
+      entry.timer = setTimeout(() => this.flush(key), this.windowMs);
+      entry.timer.unref();
+      this.pending.set(key, entry);
+    }
+    entry.messages.push(message);
+    return Promise.resolve();
+  }
+
+  flush(key) {
+    const entry = this.pending.get(key);
+    if (!entry) return Promise.resolve();
+
+    clearTimeout(entry.timer);
+    this.pending.delete(key);
+    return this.deliver(entry.recipient, entry.messages);
+  }
+
+  flushAll() {
+    return Promise.all([...this.pending.keys()].map(key => this.flush(key)));
+  }
+
+  async deliver(recipient, messages) {
+    const content = messages.length === 1 ? messages[0] : digest({ recipient, messages });
+
+    try {
+      await this.send({
+        to: { name: recipient.name || '', address: recipient.email },
+        subject: content.subject,
+        text: content.text,
+        html: content.html
+      });
+    } catch (error) {
+      logger.error('Failed to send email:', { to: recipient.email, subject: content.subject, message: error.message });
+    }
+  }
+}
+
+const transport = createTransport();
+const from = process.env.EMAIL_FROM || 'BoardHub <no-reply@boardhub.com>';
+
+// Send a message immediately (account emails that must not be delayed)
+const sendEmail = message => transport.send({ from, ...message });
+
+const queue = new EmailQueue({
+  send: sendEmail,
+  windowMs: process.env.EMAIL_BATCH_WINDOW_MS !== undefined
+    ? parseInt(process.env.EMAIL_BATCH_WINDOW_MS) || 0
+    : 60 * 1000 // 1 minute
+});
+
+// Queue a notification email for batched delivery
+const queueEmail = (recipient, message) => queue.enqueue(recipient, message);
+
+// Send everything still waiting in the batch window (e.g. on shutdown)
+const flushEmailQueue = () => queue.flushAll();
+
+module.exports = { sendEmail, queueEmail, flushEmailQueue, createTransport, EmailQueue };
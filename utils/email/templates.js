@@ -0,0 +1,144 @@
+// Email templates. Each returns { subject, text, html } for a notification or
+// account email.
+
+const appUrl = () => (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/$/, '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const NOTIFICATION_FOOTER = 'You are receiving this email because email notifications are enabled on your BoardHub account.';
+
+// Wrap a message body in the shared layout
+const layout = ({ recipientName, paragraphs, actionUrl, actionLabel, footer = NOTIFICATION_FOOTER }) => {
+  const greeting = `Hi ${recipientName || 'there'},`;
+
+  const text = [
+    greeting,
+    '',
+    ...paragraphs,
+    ...(actionUrl ? ['', `${actionLabel}: ${actionUrl}`] : []),
+    '',
+    '--',
+    footer
+  ].join('\n');
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`),
+    actionUrl ? `<p><a href="${escapeHtml(actionUrl)}">${escapeHtml(actionLabel)}</a></p>` : '',
+    `<hr><p style="color:#6b778c;font-size:12px">${escapeHtml(footer)}</p>`
+  ].join('\n');
+
+  return { text, html };
+};
+
+const boardUrl = (board) => (board ? `${appUrl()}/boards/${board.id || board._id || board}` : null);
+const cardUrl = (board, card) => (card ? `${boardUrl(board)}/cards/${card.id || card._id || card}` : boardUrl(board));
+
+const templates = {
+  board_invitation: ({ recipient, actor, board, data }) => ({
+    subject: `${actor?.name || 'Someone'} invited you to "${board?.title}" on BoardHub`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [
+        `${actor?.name || 'Someone'} invited you to the board "${board?.title}"${data?.role ? ` as ${data.role}` : ''}.`
+      ],
+      actionUrl: boardUrl(board),
+      actionLabel: 'Open board'
+    })
+  }),
+
+  card_assigned: ({ recipient, actor, board, card }) => ({
+    subject: `You were assigned to "${card?.title}"`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [
+        `${actor?.name || 'Someone'} assigned you to the card "${card?.title}" on "${board?.title}".`
+      ],
+      actionUrl: cardUrl(board, card),
+      actionLabel: 'View card'
+    })
+  }),
+
+  due_soon: ({ recipient, board, card, data }) => ({
+    subject: data?.overdue ? `"${card?.title}" is overdue` : `"${card?.title}" is due soon`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [
+        data?.overdue
+          ? `The card "${card?.title}" on "${board?.title}" was due ${new Date(data.dueDate).toUTCString()}.`
+          : `The card "${card?.title}" on "${board?.title}" is due ${new Date(data?.dueDate).toUTCString()}.`
+      ],
+      actionUrl: cardUrl(board, card),
+      actionLabel: 'View card'
+    })
+  }),
+
+  mention: ({ recipient, actor, board, card, data }) => ({
+    subject: `${actor?.name || 'Someone'} mentioned you on "${card?.title}"`,
+    ...layout({
+      recipientName: recipient.name,
+      paragraphs: [
+        `${actor?.name || 'Someone'} mentioned you in a comment on "${card?.title}" (${board?.title}):`,
+        `"${data?.text || ''}"`
+      ],
+      actionUrl: cardUrl(board, card),
+      actionLabel: 'View comment'
+    })
+  })
+};
+
+// Several queued notifications for one person, combined into a single email
+const digest = ({ recipient, messages }) => ({
+  subject: `You have ${messages.length} new BoardHub notifications`,
+  ...layout({
+    recipientName: recipient.name,
+    paragraphs: [
+      'Here is what happened on your boards:',
+      ...messages.map(message => `- ${message.subject}`)
+    ],
+    actionUrl: appUrl(),
+    actionLabel: 'Open BoardHub'
+  })
+});
+
+// Link to choose a new password, sent by POST /api/auth/forgot-password
+const passwordReset = ({ recipient, token, expiresMinutes }) => ({
+  subject: 'Reset your BoardHub password',
+  ...layout({
+    recipientName: recipient.name,
+    paragraphs: [
+      'Someone (hopefully you) asked to reset the password for your BoardHub account.',
+      `The link below can be used once and expires in ${expiresMinutes} minutes.`
+    ],
+    actionUrl: `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+    actionLabel: 'Reset password',
+    footer: 'If you didn\'t ask to reset your password, you can ignore this email; your password won\'t change.'
+  })
+});
+
+// Link to confirm the account's email address, sent on registration and by
+// POST /api/auth/verify-email/resend
+const emailVerification = ({ recipient, token, expiresHours }) => ({
+  subject: 'Verify your BoardHub email address',
+  ...layout({
+    recipientName: recipient.name,
+    paragraphs: [
+      `Please confirm that ${recipient.email} is your email address.`,
+      `The link below expires in ${expiresHours} hours.`
+    ],
+    actionUrl: `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+    actionLabel: 'Verify email',
+    footer: 'If you didn\'t create a BoardHub account, you can ignore this email.'
+  })
+});
+
+const hasTemplate = (type) => Object.prototype.hasOwnProperty.call(templates, type);
+
+const renderTemplate = (type, context) => templates[type](context);
+
+module.exports = { hasTemplate, renderTemplate, digest, passwordReset, emailVerification, escapeHtml };
@@ -0,0 +1,35 @@
+const { ErrorResponse } = require('./errorResponse');
+
+// What accounts with an unverified email may do, set by EMAIL_VERIFICATION_POLICY:
+//   none     - no restrictions
+//   restrict - they can't be invited to boards or make boards public
+//   require  - as restrict, and they can't log in or refresh tokens until verified
+const EMAIL_VERIFICATION_POLICIES = ['none', 'restrict', 'require'];
+
+const getEmailVerificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY;
+  return EMAIL_VERIFICATION_POLICIES.includes(policy) ? policy : 'none';
+};
+
+// Whether the policy restricts this user
+const isEmailRestricted = user =>
+  getEmailVerificationPolicy() !== 'none' && !user.emailVerified;
+
+// Whether the policy keeps this user from logging in or refreshing tokens
+const isLoginBlocked = user =>
+  getEmailVerificationPolicy() === 'require' && !user.emailVerified;
+
+// Throw a 403 EMAIL_NOT_VERIFIED when the policy restricts this user
+const assertEmailVerified = (user, message) => {
+  if (isEmailRestricted(user)) {
+    throw new ErrorResponse(message, 403, 'EMAIL_NOT_VERIFIED');
+  }
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_POLICIES,
+  getEmailVerificationPolicy,
+  isEmailRestricted,
+  isLoginBlocked,
+  assertEmailVerified
+};
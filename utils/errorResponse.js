@@ -0,0 +1,19 @@
+// Error carrying an HTTP status and an optional machine-readable code, thrown
+// from helpers (e.g. inside transactions) and turned into a response by the route
+class ErrorResponse extends Error {
+  constructor(message, statusCode, code = null) {
+    super(message);
+    this.name = 'ErrorResponse';
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+// Send an ErrorResponse in the usual { success, message } shape
+const sendErrorResponse = (res, error) => res.status(error.statusCode).json({
+  success: false,
+  message: error.message,
+  ...(error.code && { code: error.code })
+});
+
+module.exports = { ErrorResponse, sendErrorResponse };
@@ -0,0 +1,56 @@
+const Card = require('../models/Card');
+const List = require('../models/List');
+const { ErrorResponse } = require('./errorResponse');
+
+// List.settings flag, error code and default message for each card action
+const LIST_RULES = {
+  create: {
+    setting: 'allowCardCreation',
+    code: 'CARD_CREATION_DISABLED',
+    message: 'Cards cannot be added to this list'
+  },
+  edit: {
+    setting: 'allowCardEditing',
+    code: 'CARD_EDITING_DISABLED',
+    message: 'Cards in this list cannot be edited'
+  },
+  delete: {
+    setting: 'allowCardDeletion',
+    code: 'CARD_DELETION_DISABLED',
+    message: 'Cards cannot be deleted from this list'
+  },
+  move: {
+    setting: 'allowCardMoving',
+    code: 'CARD_MOVING_DISABLED',
+    message: 'Cards in this list cannot be moved'
+  }
+};
+
+// Throw a 403 with the action's code when the list's settings forbid it
+const assertListAllows = (list, action, message) => {
+  const rule = LIST_RULES[action];
+
+  if (list.settings?.[rule.setting] === false) {
+    throw new ErrorResponse(message || rule.message, 403, rule.code);
+  }
+};
+
+// Enforce the list's WIP limit (maxCards) before a card is added to it. The
+// list document is touched first, so concurrent writers in other transactions
+// conflict and retry with a fresh count instead of both passing the check.
+const reserveListSlot = async (list, session = null) => {
+  if (!list.settings?.maxCards) return;
+
+  await List.updateOne({ _id: list._id }, { $inc: { __v: 1 } }, { session, timestamps: false });
+
+  const count = await Card.countDocuments({ list: list._id, isArchived: false }).session(session);
+  if (count >= list.settings.maxCards) {
+    throw new ErrorResponse(
+      `List has reached its limit of ${list.settings.maxCards} cards`,
+      409,
+      'WIP_LIMIT_REACHED'
+    );
+  }
+};
+
+module.exports = { LIST_RULES, assertListAllows, reserveListSlot };
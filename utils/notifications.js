@@ -0,0 +1,64 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Board = require('../models/Board');
+const Card = require('../models/Card');
+const { queueEmail } = require('./email');
+const { hasTemplate, renderTemplate } = require('./email/templates');
+const { logger } = require('./logger');
+
+// Queue emails for recipients who opted in, when the type has an email template
+const emailRecipients = async (users, { actor, type, board, card, data }) => {
+  if (users.length === 0 || !hasTemplate(type)) return;
+
+  const [actorDoc, boardDoc, cardDoc] = await Promise.all([
+    actor ? User.findById(actor).select('name email') : null,
+    board ? Board.findById(board).select('title') : null,
+    card ? Card.findById(card).select('title') : null
+  ]);
+
+  await Promise.all(users.map(user => queueEmail(
+    { name: user.name, email: user.email },
+    renderTemplate(type, { recipient: user, actor: actorDoc, board: boardDoc, card: cardDoc, data })
+  )));
+};
+
+// Notify users in-app and by email according to their notification preferences.
+// The actor never notifies themselves, and failures never break the request.
+const notify = async ({ recipients, actor, type, message, board, card, data }) => {
+  try {
+    const actorId = actor ? actor.toString() : null;
+    const recipientIds = [...new Set((recipients || [])
+      .filter(Boolean)
+      .map(id => id.toString()))]
+      .filter(id => id !== actorId);
+
+    if (recipientIds.length === 0) return [];
+
+    const users = await User.find({
+      _id: { $in: recipientIds },
+      isActive: true
+    }).select('name email preferences');
+
+    const pushUsers = users.filter(user => user.preferences?.notifications?.push !== false);
+    const emailUsers = users.filter(user => user.preferences?.notifications?.email !== false);
+
+    await emailRecipients(emailUsers, { actor, type, board, card, data });
+
+    if (pushUsers.length === 0) return [];
+
+    return await Notification.insertMany(pushUsers.map(user => ({
+      recipient: user._id,
+      actor,
+      type,
+      message,
+      board,
+      card,
+      data
+    })));
+  } catch (error) {
+    logger.error('Failed to create notifications:', { type, message: error.message });
+    return [];
+  }
+};
+
+module.exports = { notify };
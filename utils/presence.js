@@ -0,0 +1,98 @@
+const { boardEvents, publishBoardEvent } = require('./boardEvents');
+
+const PRESENCE_TTL_MS = parseInt(process.env.PRESENCE_TTL_MS) || 45 * 1000;
+
+// boardId -> Map(userId -> { user, editingCard, lastSeen })
+const boards = new Map();
+
+const snapshot = (boardId) => {
+  const viewers = boards.get(boardId.toString());
+  if (!viewers) return [];
+
+  return [...viewers.values()].map(entry => ({
+    user: entry.user,
+    editingCard: entry.editingCard,
+    lastSeen: new Date(entry.lastSeen).toISOString()
+  }));
+};
+
+const announce = (boardId) => {
+  publishBoardEvent(boardId, 'presence.updated', { viewers: snapshot(boardId) }, null, { ephemeral: true });
+};
+
+// Record a heartbeat from a user viewing a board (and optionally editing a card).
+// Only joins and editing changes are broadcast, not every heartbeat.
+const touchPresence = (boardId, user, editingCard = null) => {
+  const key = boardId.toString();
+  if (!boards.has(key)) boards.set(key, new Map());
+
+  const viewers = boards.get(key);
+  const userId = user._id.toString();
+  const previous = viewers.get(userId);
+  const cardId = editingCard ? editingCard.toString() : null;
+
+  viewers.set(userId, {
+    user: { id: userId, name: user.name, avatar: user.avatar },
+    editingCard: cardId,
+    lastSeen: Date.now()
+  });
+
+  if (!previous || previous.editingCard !== cardId) {
+    announce(key);
+  }
+
+  return snapshot(key);
+};
+
+// Remove a user from a board's presence list
+const leavePresence = (boardId, userId) => {
+  const key = boardId.toString();
+  const viewers = boards.get(key);
+  if (!viewers || !viewers.delete(userId.toString())) return;
+
+  if (viewers.size === 0) boards.delete(key);
+  announce(key);
+};
+
+// Other users currently editing the given card
+const getCardEditors = (boardId, cardId, excludeUserId) => snapshot(boardId)
+  .filter(entry => entry.editingCard === cardId.toString() && entry.user.id !== excludeUserId.toString())
+  .map(entry => entry.user);
+
+// Drop users whose heartbeat expired
+const sweep = () => {
+  const cutoff = Date.now() - PRESENCE_TTL_MS;
+
+  boards.forEach((viewers, boardId) => {
+    let changed = false;
+    viewers.forEach((entry, userId) => {
+      if (entry.lastSeen < cutoff) {
+        viewers.delete(userId);
+        changed = true;
+      }
+    });
+
+    if (viewers.size === 0) boards.delete(boardId);
+    if (changed) announce(boardId);
+  });
+};
+
+// Forget members as soon as they lose access, and boards that are deleted
+boardEvents.on('event', (event) => {
+  if (event.type === 'member.removed') {
+    leavePresence(event.board, event.payload.user);
+  } else if (event.type === 'board.deleted') {
+    boards.delete(event.board);
+  }
+});
+
+const sweeper = setInterval(sweep, Math.max(1000, Math.floor(PRESENCE_TTL_MS / 3)));
+sweeper.unref();
+
+module.exports = {
+  touchPresence,
+  leavePresence,
+  getPresence: snapshot,
+  getCardEditors,
+  PRESENCE_TTL_MS
+};
@@ -0,0 +1,164 @@
+// Rank strings for ordering cards and lists (LexoRank-style). Ranks are
+// base-36 strings compared lexicographically, so a new rank can always be
+// generated between two neighbours and a move only writes the moved document.
+// Ranks never end in "0", which guarantees there is room before any rank.
+
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// Ranks longer than this trigger a rebalance of their list or board
+const MAX_RANK_LENGTH = parseInt(process.env.RANK_MAX_LENGTH) || 32;
+
+const RANK_PATTERN = /^[0-9a-z]*[1-9a-z]$/;
+
+const isValidRank = rank => typeof rank === 'string' && RANK_PATTERN.test(rank);
+
+// Rank strictly between a and b, where a = '' means "start" and b = null "end"
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Keep the shared prefix and place the new rank after it
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : BASE;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  // Adjacent digits: b's first digit alone sorts between them if b continues
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+// Rank after prev with nothing following it. Stepping the first digit that
+// isn't already the maximum keeps ranks short when appending to the end.
+const rankAfter = (prev) => {
+  for (let i = 0; i < prev.length; i++) {
+    const digit = DIGITS.indexOf(prev[i]);
+    if (digit < BASE - 1) {
+      return prev.slice(0, i) + DIGITS[digit + 1];
+    }
+  }
+
+  return prev + midpoint('', null);
+};
+
+// Rank before next with nothing preceding it, the mirror of rankAfter. Digits
+// are only stepped down to "1" so the result never ends in "0".
+const rankBefore = (next) => {
+  for (let i = 0; i < next.length; i++) {
+    const digit = DIGITS.indexOf(next[i]);
+    if (digit > 1) {
+      return next.slice(0, i) + DIGITS[digit - 1];
+    }
+  }
+
+  return midpoint('', next);
+};
+
+// Rank between two neighbours; either may be null for the start or end of
+// the sequence. Throws when the neighbours are invalid or out of order.
+const rankBetween = (prev = null, next = null) => {
+  if ((prev !== null && !isValidRank(prev)) || (next !== null && !isValidRank(next))) {
+    throw new Error('Invalid rank');
+  }
+  if (prev !== null && next !== null && prev >= next) {
+    throw new Error('Ranks are out of order');
+  }
+
+  if (next === null) {
+    return prev === null ? midpoint('', null) : rankAfter(prev);
+  }
+  if (prev === null) {
+    return rankBefore(next);
+  }
+
+  return midpoint(prev, next);
+};
+
+// Evenly spaced ranks of equal length for `count` items, used when rebalancing
+const generateRanks = (count) => {
+  let width = 1;
+  while (Math.pow(BASE, width) < 2 * (count + 1)) width++;
+
+  const space = Math.pow(BASE, width);
+  const ranks = [];
+
+  for (let i = 1; i <= count; i++) {
+    const value = Math.floor((i * space) / (count + 1));
+    ranks.push(value.toString(BASE).padStart(width, '0').replace(/0+$/, ''));
+  }
+
+  return ranks;
+};
+
+// Rank for inserting at a 0-based position among the documents matching
+// filter, or null when the neighbours can't be ranked between (legacy numeric
+// orders, duplicate ranks) or the result is too long, i.e. a rebalance is due
+const rankAtPosition = async (Model, filter, position, session = null) => {
+  const siblings = await Model.find(filter)
+    .select('order')
+    .sort({ order: 1, _id: 1 })
+    .session(session)
+    .lean();
+
+  const index = Math.max(0, Math.min(position, siblings.length));
+  const prev = index > 0 ? siblings[index - 1].order : null;
+  const next = index < siblings.length ? siblings[index].order : null;
+
+  try {
+    const rank = rankBetween(prev, next);
+    return rank.length > MAX_RANK_LENGTH ? null : rank;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Assign evenly spaced ranks to documents in the given order
+const assignRanks = async (Model, ids, session = null) => {
+  const ranks = generateRanks(ids.length);
+  const updates = ids.map((id, index) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { order: ranks[index] }
+    }
+  }));
+
+  if (updates.length > 0) {
+    await Model.bulkWrite(updates, { session });
+  }
+
+  return ranks;
+};
+
+// Rewrite the ranks of all documents matching filter, keeping their current
+// order. Legacy numeric orders sort ahead of strings and are converted too.
+const rebalance = async (Model, filter, session = null) => {
+  const docs = await Model.find(filter)
+    .select('_id')
+    .sort({ order: 1, _id: 1 })
+    .session(session)
+    .lean();
+
+  await assignRanks(Model, docs.map(doc => doc._id), session);
+  return docs.length;
+};
+
+module.exports = {
+  MAX_RANK_LENGTH,
+  isValidRank,
+  rankBetween,
+  generateRanks,
+  rankAtPosition,
+  assignRanks,
+  rebalance
+};
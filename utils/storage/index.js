@@ -0,0 +1,28 @@
+const LocalStorage = require('./local');
+const S3Storage = require('./s3');
+
+// Build the storage driver selected by STORAGE_DRIVER
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  switch (driver) {
+    case 'local':
+      return new LocalStorage({
+        root: process.env.UPLOAD_PATH || 'uploads'
+      });
+    case 's3':
+      return new S3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        prefix: process.env.S3_PREFIX,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+const storage = createStorage();
+
+module.exports = { storage, createStorage };
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Stores files on the local filesystem under UPLOAD_PATH
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || 'uploads');
+
+    if (!fs.existsSync(this.root)) {
+      fs.mkdirSync(this.root, { recursive: true });
+    }
+  }
+
+  // Keys are generated by us, but never let one escape the upload directory
+  resolve(key) {
+    return path.join(this.root, path.basename(key));
+  }
+
+  async save(key, stream) {
+    const filePath = this.resolve(key);
+    const output = fs.createWriteStream(filePath);
+    await pipeline(stream, output);
+    return { key, size: output.bytesWritten };
+  }
+
+  async getStream(key) {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch (error) {
+      return null;
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorage;
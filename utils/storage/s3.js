@@ -0,0 +1,84 @@
+const { S3Client, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+class S3Storage {
+  constructor(options = {}) {
+    if (!options.bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER is s3');
+    }
+
+    this.name = 's3';
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+
+    const clientConfig = {
+      region: options.region || 'us-east-1',
+      forcePathStyle: options.forcePathStyle
+    };
+
+    // Custom endpoint for S3-compatible services such as MinIO
+    if (options.endpoint) {
+      clientConfig.endpoint = options.endpoint;
+    }
+
+    if (options.accessKeyId && options.secretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+      };
+    }
+
+    this.client = new S3Client(clientConfig);
+  }
+
+  objectKey(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async save(key, stream, { contentType } = {}) {
+    let size = 0;
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+    });
+
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: stream,
+        ContentType: contentType
+      }
+    });
+
+    await upload.done();
+    return { key, size };
+  }
+
+  async getStream(key) {
+    try {
+      const result = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return result.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async remove(key) {
+    // S3 deletes are idempotent, so a missing object is not reported
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+    return true;
+  }
+}
+
+module.exports = S3Storage;
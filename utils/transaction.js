@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+
+let transactionsUnsupported = false;
+
+// IllegalOperation, raised when the server is a standalone instance rather
+// than a replica set or mongos
+const isUnsupported = error =>
+  error.code === 20 && /Transaction numbers/i.test(error.message || '');
+
+// Run fn(session) inside a transaction, retrying on transient errors. On a
+// standalone server (e.g. a bare local mongod) fn runs without a session after
+// a one-time warning, so development setups keep working without atomicity.
+const withTransaction = async (fn) => {
+  if (transactionsUnsupported) {
+    return await fn(null);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isUnsupported(error)) throw error;
+
+    transactionsUnsupported = true;
+    logger.warn('MongoDB transactions are not supported by this server; run a replica set for atomic writes');
+    return await fn(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };
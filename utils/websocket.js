@@ -0,0 +1,254 @@
+const { URL } = require('url');
+const { WebSocketServer, WebSocket } = require('ws');
+const { authenticateToken, needsTwoFactorEnrolment } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Card = require('../models/Card');
+const { boardEvents, ACCESS_EVENTS } = require('./boardEvents');
+const { getBoardAccess } = require('./boardAccess');
+const { touchPresence, leavePresence } = require('./presence');
+const { logger } = require('./logger');
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Read the JWT from ?token=, the Authorization header or the token cookie
+const getSocketToken = (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.searchParams.get('token')) {
+    return url.searchParams.get('token');
+  }
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith('token='));
+  return cookie ? decodeURIComponent(cookie.slice('token='.length)) : null;
+};
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+// Attach the board WebSocket channel to an HTTP server at /ws.
+// Clients send { type: 'subscribe' | 'unsubscribe', boardId } and receive
+// { type: 'event', event } for every change on boards they subscribed to.
+// { type: 'presence', boardId, editingCardId } doubles as a presence heartbeat.
+const attachWebSocketServer = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // boardId -> Set of sockets
+  const subscriptions = new Map();
+
+  const unsubscribe = (socket, boardId) => {
+    const sockets = subscriptions.get(boardId);
+    if (!sockets) return;
+    sockets.delete(socket);
+    socket.boards.delete(boardId);
+    if (sockets.size === 0) subscriptions.delete(boardId);
+
+    // Presence is per user, so only leave once the user's last socket on the board is gone
+    const userId = socket.user._id.toString();
+    const stillPresent = [...sockets].some(other =>
+      other.user._id.toString() === userId && other.presenceBoards.has(boardId)
+    );
+    if (socket.presenceBoards.delete(boardId) && !stillPresent) {
+      leavePresence(boardId, socket.user._id);
+    }
+  };
+
+  server.on('upgrade', async (req, socket, head) => {
+    // Nothing else on this server accepts upgrades
+    if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    const token = getSocketToken(req);
+    let user = null;
+    let sessionId = null;
+    try {
+      if (token) {
+        const result = await authenticateToken(token);
+        user = result.user;
+        sessionId = result.decoded?.sid || null;
+      }
+    } catch (error) {
+      logger.debug('WebSocket authentication failed:', error.message);
+    }
+
+    if (!user) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    // Same rule as protect: no board access until two-factor enrolment is done
+    if (needsTwoFactorEnrolment(user)) {
+      socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.user = user;
+      ws.sessionId = sessionId;
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', (socket) => {
+    socket.isAlive = true;
+    socket.boards = new Set();
+    socket.presenceBoards = new Set();
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', async (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return send(socket, { type: 'error', message: 'Invalid JSON message' });
+      }
+
+      const boardId = message.boardId ? String(message.boardId) : null;
+
+      try {
+        switch (message.type) {
+          case 'subscribe': {
+            const access = boardId && /^[a-f\d]{24}$/i.test(boardId)
+              ? await getBoardAccess(boardId, socket.user._id)
+              : null;
+
+            if (!access) {
+              return send(socket, { type: 'error', boardId, message: 'Access denied' });
+            }
+
+            if (!subscriptions.has(boardId)) subscriptions.set(boardId, new Set());
+            subscriptions.get(boardId).add(socket);
+            socket.boards.add(boardId);
+            return send(socket, { type: 'subscribed', boardId });
+          }
+          case 'unsubscribe':
+            unsubscribe(socket, boardId);
+            return send(socket, { type: 'unsubscribed', boardId });
+          case 'presence': {
+            if (!socket.boards.has(boardId)) {
+              return send(socket, { type: 'error', boardId, message: 'Subscribe to the board first' });
+            }
+
+            const editingCardId = message.editingCardId && /^[a-f\d]{24}$/i.test(message.editingCardId)
+              ? message.editingCardId
+              : null;
+
+            if (editingCardId && !(await Card.exists({ _id: editingCardId, board: boardId }))) {
+              return send(socket, { type: 'error', boardId, message: 'Card not found on this board' });
+            }
+
+            socket.presenceBoards.add(boardId);
+            return send(socket, {
+              type: 'presence',
+              boardId,
+              viewers: touchPresence(boardId, socket.user, editingCardId)
+            });
+          }
+          case 'ping':
+            return send(socket, { type: 'pong' });
+          default:
+            return send(socket, { type: 'error', message: 'Unknown message type' });
+        }
+      } catch (error) {
+        logger.error('WebSocket message handling failed:', { message: error.message });
+        send(socket, { type: 'error', message: 'Failed to handle message' });
+      }
+    });
+
+    socket.on('close', () => {
+      [...socket.boards].forEach(boardId => unsubscribe(socket, boardId));
+    });
+  });
+
+  // Re-check every subscriber of a board after its membership or visibility changed
+  const revalidate = async (boardId) => {
+    const sockets = [...(subscriptions.get(boardId) || [])];
+    await Promise.all(sockets.map(async (socket) => {
+      const access = await getBoardAccess(boardId, socket.user._id);
+      if (!access) {
+        unsubscribe(socket, boardId);
+        send(socket, { type: 'unsubscribed', boardId, reason: 'access_revoked' });
+      }
+    }));
+  };
+
+  const onBoardEvent = async (event) => {
+    if (!subscriptions.has(event.board)) return;
+
+    try {
+      if (event.type === 'board.deleted') {
+        [...subscriptions.get(event.board)].forEach((socket) => {
+          send(socket, { type: 'event', event });
+          unsubscribe(socket, event.board);
+        });
+        return;
+      }
+
+      if (ACCESS_EVENTS.includes(event.type)) {
+        await revalidate(event.board);
+      }
+
+      (subscriptions.get(event.board) || []).forEach(socket => send(socket, { type: 'event', event }));
+    } catch (error) {
+      logger.error('WebSocket broadcast failed:', { type: event.type, message: error.message });
+    }
+  };
+  boardEvents.on('event', onBoardEvent);
+
+  // Close connections whose session was revoked after they connected
+  const closeRevokedSessions = async () => {
+    const sockets = [...wss.clients].filter(socket => socket.sessionId);
+    if (sockets.length === 0) return;
+
+    const active = await Session.findActiveIds(sockets.map(socket => socket.sessionId));
+    sockets
+      .filter(socket => !active.has(socket.sessionId))
+      .forEach((socket) => {
+        send(socket, { type: 'error', message: 'Session has been revoked' });
+        socket.close(4001, 'Session revoked');
+      });
+  };
+
+  // Drop connections that stopped answering pings or lost their session
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+
+    closeRevokedSessions().catch((error) => {
+      logger.error('WebSocket session check failed:', { message: error.message });
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    boardEvents.off('event', onBoardEvent);
+  });
+
+  logger.info('WebSocket server attached at /ws');
+  return wss;
+};
+
+module.exports = { attachWebSocketServer };